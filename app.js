@@ -3,16 +3,21 @@
  * GS1 Barcode Scanner PWA
  * 
  * Features:
- * - PIN protected editing (5-min timeout)
+ * - Per-user PINs with roles (5-min session)
  * - Master data persists until changed
  * - 10 recent scans on home
- * - CSV export only
+ * - CSV, XLSX, PDF report, JSON and GS1 EPCIS export
  * - Medicine API lookup
+ * - Table-driven GS1 AI parsing with check-digit validation
  */
 
 const CONFIG = {
-  PIN: '9633',
   PIN_TIMEOUT: 5 * 60 * 1000,
+  PIN_ITERATIONS: 100000,
+  PIN_MAX_ATTEMPTS: 5,
+  PIN_LOCKOUT: 5 * 60 * 1000,
+  BACKUP_ITERATIONS: 250000,
+  SYNC_INTERVAL: 60 * 1000,
   EXPIRY_SOON_DAYS: 90,
   MAX_RECENT_SCANS: 10,
   DEBOUNCE_MS: 2000,
@@ -28,48 +33,208 @@ const State = {
   lastScan: { code: '', time: 0 },
   scanner: null,
   masterData: new Map(),
-  masterIndex: { exact: new Map(), last8: new Map() },
   history: [],
   filteredHistory: [],
   currentPage: 'home',
   searchQuery: '',
   activeFilter: 'all',
+  idFilter: null,
   pinCallback: null,
+  pinAction: null,
   pinInput: '',
+  pinChecking: false,
   lastPinSuccess: 0,
+  pinTimer: null,
+  users: [],
+  currentUser: null,
+  sessions: [],
+  activeSession: null,
+  location: { branch: '', aisle: '', shelf: '' },
   editingEntry: null,
   apiLookupEnabled: true,
-  hapticEnabled: true
+  hapticEnabled: true,
+  dateBasis: {},
+  thresholds: { profiles: [], products: {}, categories: {} },
+  notifyPrefs: null,
+  pharmacy: {},
+  backup: {},
+  lookup: { order: [], disabled: [], custom: [] },
+  recalls: new Map(),
+  recallHold: false,
+  pickMode: false,
+  updateAccepted: false,
+  sync: { enabled: false, tombstones: {} }
 };
 
+// Schema migrations, oldest first. When the database moves past a step's version
+// its schema() runs, then one cursor per store applies the data() transforms of
+// every pending step in order. Published steps never change; new schema work
+// goes in a new step with the next version number.
+const DB_MIGRATIONS = [
+  {
+    version: 1,
+    schema(db) {
+      const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+      history.createIndex('gtin14', 'gtin14');
+      history.createIndex('gtinBatch', ['gtin14', 'batch']);
+      db.createObjectStore('master', { keyPath: 'gtin' });
+      db.createObjectStore('settings', { keyPath: 'key' });
+    }
+  },
+  {
+    version: 2,
+    schema(db) { db.createObjectStore('users', { keyPath: 'id', autoIncrement: true }); }
+  },
+  {
+    version: 3,
+    schema(db) {
+      const audit = db.createObjectStore('audit', { keyPath: 'seq' });
+      audit.createIndex('time', 'time');
+      audit.createIndex('action', 'action');
+    }
+  },
+  {
+    version: 4,
+    schema(db, tx) {
+      db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+      tx.objectStore('history').createIndex('sessionId', 'sessionId');
+    }
+  },
+  {
+    version: 5,
+    schema(db, tx) { tx.objectStore('history').createIndex('serialKeys', 'serialKeys', { multiEntry: true }); },
+    data: {
+      // Single-serial entries become one-pack serial lists
+      history(v) {
+        if (!v.serial || v.serials) return v;
+        return { ...v, serials: [{ serial: v.serial, status: 'active', scanTime: v.scanTime }], serialKeys: [serialKey(v.gtin14, v.serial)] };
+      }
+    }
+  },
+  {
+    version: 6,
+    schema(db, tx) {
+      const history = tx.objectStore('history');
+      history.createIndex('expiry', 'expiry');
+      history.createIndex('scanTime', 'scanTime');
+    },
+    data: {
+      // batch must be a string for the gtinBatch index; serial lists always present
+      history(v) {
+        const serials = entrySerials(v);
+        return { ...v, batch: v.batch || '', qty: v.qty || 1, serials, serialKeys: serials.map(p => serialKey(v.gtin14, p.serial)) };
+      },
+      // Older rows lack altGtins, source and pending; the key itself must not move
+      master(v) { return { ...normalizeMasterRecord(v), gtin: v.gtin }; }
+    }
+  },
+  {
+    version: 7,
+    schema(db, tx) {
+      db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+      tx.objectStore('history').createIndex('uid', 'uid', { unique: true });
+      tx.objectStore('sessions').createIndex('uid', 'uid', { unique: true });
+    },
+    data: {
+      // Sync identity; origin is filled in with the device id when sync is switched on
+      history(v) { return { ...v, uid: v.uid || crypto.randomUUID(), updatedAt: v.updatedAt || v.scanTime }; },
+      sessions(v) { return { ...v, uid: v.uid || crypto.randomUUID(), updatedAt: v.updatedAt || v.startedAt }; }
+    }
+  },
+  {
+    version: 8,
+    schema(db) { db.createObjectStore('lookupQueue', { keyPath: 'gtin14' }); }
+  },
+  {
+    version: 9,
+    schema(db) { db.createObjectStore('recalls', { keyPath: 'key' }); }
+  }
+];
+
 // Database
 const DB = {
   name: 'oasis-pharmacy-v3',
-  version: 1,
+  version: DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version,
   instance: null,
   
   async init() {
+    this.instance = await this.open(this.name, this.version);
+    // A newer tab wants to upgrade: step aside instead of blocking it
+    this.instance.onversionchange = () => {
+      this.instance.close();
+      openSheet('Update Ready', '<p>Oasis was updated in another tab. Reload to continue.</p>', [
+        { label: 'Reload', primary: true, onClick: () => location.reload() }
+      ]);
+    };
+  },
+  
+  // Any database opened here gets the app schema; restore also uses it for scratch copies
+  open(name, version) {
     return new Promise((resolve, reject) => {
-      const req = indexedDB.open(this.name, this.version);
+      const req = indexedDB.open(name, version);
       req.onerror = () => reject(req.error);
-      req.onsuccess = () => { this.instance = req.result; resolve(); };
-      req.onupgradeneeded = (e) => {
-        const db = e.target.result;
-        if (!db.objectStoreNames.contains('history')) {
-          const store = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
-          store.createIndex('gtin14', 'gtin14');
-          store.createIndex('gtinBatch', ['gtin14', 'batch']);
-        }
-        if (!db.objectStoreNames.contains('master')) {
-          db.createObjectStore('master', { keyPath: 'gtin' });
-        }
-        if (!db.objectStoreNames.contains('settings')) {
-          db.createObjectStore('settings', { keyPath: 'key' });
+      req.onsuccess = () => resolve(req.result);
+      req.onupgradeneeded = (e) => this.upgrade(e.target.result, e.target.transaction, e.oldVersion);
+      // Another tab still holds the old version; the open completes once it closes
+      req.onblocked = () => showToast('Close other Oasis tabs to finish updating', 'warning');
+    });
+  },
+  
+  drop(name) {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.deleteDatabase(name);
+      req.onsuccess = () => resolve();
+      req.onerror = () => reject(req.error);
+    });
+  },
+  
+  upgrade(db, tx, oldVersion) {
+    const steps = DB_MIGRATIONS.filter(m => m.version > oldVersion && m.version <= db.version);
+    try {
+      steps.forEach(m => m.schema(db, tx));
+    } catch (err) {
+      console.error('Migration failed:', err);
+      tx.abort();
+      return;
+    }
+    if (!oldVersion) return;
+    
+    const transforms = {};
+    steps.forEach(m => Object.entries(m.data || {}).forEach(([store, fn]) => (transforms[store] ||= []).push(fn)));
+    Object.entries(transforms).forEach(([store, fns]) => {
+      tx.objectStore(store).openCursor().onsuccess = e => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        try {
+          cursor.update(fns.reduce((v, fn) => fn(v), cursor.value));
+          cursor.continue();
+        } catch (err) {
+          console.error(`Migrating ${store} failed:`, err);
+          tx.abort();
         }
       };
     });
   },
   
+  // Records whose index value lies in [lower, upper]; either bound may be null
+  async getRange(store, index, lower = null, upper = null, { limit, direction = 'next' } = {}) {
+    const range = lower != null && upper != null ? IDBKeyRange.bound(lower, upper)
+      : lower != null ? IDBKeyRange.lowerBound(lower)
+      : upper != null ? IDBKeyRange.upperBound(upper) : null;
+    return new Promise((resolve, reject) => {
+      const tx = this.instance.transaction(store, 'readonly');
+      const req = tx.objectStore(store).index(index).openCursor(range, direction);
+      const out = [];
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || out.length === limit) { resolve(out); return; }
+        out.push(cursor.value);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  },
+  
   async put(store, data) {
     return new Promise((resolve, reject) => {
       const tx = this.instance.transaction(store, 'readwrite');
@@ -115,6 +280,49 @@ const DB = {
     });
   },
   
+  // Insert only; fails if the key exists
+  async add(store, data) {
+    return new Promise((resolve, reject) => {
+      const tx = this.instance.transaction(store, 'readwrite');
+      const req = tx.objectStore(store).add(data);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  
+  // Record with the highest key
+  async last(store) {
+    return new Promise((resolve, reject) => {
+      const tx = this.instance.transaction(store, 'readonly');
+      const req = tx.objectStore(store).openCursor(null, 'prev');
+      req.onsuccess = () => resolve(req.result?.value);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  
+  async getAllByIndex(store, index, key) {
+    return new Promise((resolve, reject) => {
+      const tx = this.instance.transaction(store, 'readonly');
+      const req = tx.objectStore(store).index(index).getAll(key);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  
+  // Several writes in one readwrite transaction; all or nothing
+  async bulk(store, { clear = false, put = [], remove = [] }) {
+    return new Promise((resolve, reject) => {
+      const tx = this.instance.transaction(store, 'readwrite');
+      const os = tx.objectStore(store);
+      if (clear) os.clear();
+      remove.forEach(key => os.delete(key));
+      put.forEach(data => os.put(data));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+  
   async findByGtinBatch(gtin14, batch) {
     return new Promise((resolve, reject) => {
       const tx = this.instance.transaction('history', 'readonly');
@@ -135,277 +343,1373 @@ const Haptic = {
 };
 
 // GS1 Parsing
+// Application Identifier table, after the GS1 General Specifications AI list.
+// Format: N = digits, X = GS1 character set 82. 'N14' is fixed length,
+// 'X..20' variable up to 20, 'N6..12' variable with a minimum.
+const GS1_AI = {};
+const GS1_GS = '\x1d';
+const GS1_SYMBOLOGIES = { ']C1': 'GS1-128', ']d2': 'GS1 DataMatrix', ']Q3': 'GS1 QR Code', ']e0': 'GS1 DataBar', ']J1': 'GS1 DotCode' };
+
+(() => {
+  const def = (ai, title, format, opts = {}) => { GS1_AI[ai] = { ai, title, ...parseAIFormat(format), ...opts }; };
+  const range = (prefix, from, to, title, format, opts) => { for (let n = from; n <= to; n++) def(`${prefix}${n}`, title, format, opts); };
+  const key = { check: true }, date = { date: true };
+
+  def('00', 'SSCC', 'N18', key);
+  def('01', 'GTIN', 'N14', key);
+  def('02', 'CONTENT', 'N14', key);
+  def('03', 'MTO GTIN', 'N14', key);
+  def('10', 'BATCH/LOT', 'X..20');
+  def('11', 'PROD DATE', 'N6', date);
+  def('12', 'DUE DATE', 'N6', date);
+  def('13', 'PACK DATE', 'N6', date);
+  def('15', 'BEST BEFORE', 'N6', date);
+  def('16', 'SELL BY', 'N6', date);
+  def('17', 'USE BY OR EXPIRY', 'N6', date);
+  def('20', 'VARIANT', 'N2');
+  def('21', 'SERIAL', 'X..20');
+  def('22', 'CPV', 'X..20');
+  def('235', 'TPX', 'X..28');
+  def('240', 'ADDITIONAL ID', 'X..30');
+  def('241', 'CUST. PART No.', 'X..30');
+  def('242', 'MTO VARIANT', 'N..6');
+  def('243', 'PCN', 'X..20');
+  def('250', 'SECONDARY SERIAL', 'X..30');
+  def('251', 'REF. TO SOURCE', 'X..30');
+  def('253', 'GDTI', 'X13..30');
+  def('254', 'GLN EXTENSION COMPONENT', 'X..20');
+  def('255', 'GCN', 'N13..25');
+  def('30', 'VAR. COUNT', 'N..8');
+  range('310', 0, 9, 'NET WEIGHT (kg)', 'N6');
+  range('311', 0, 9, 'LENGTH (m)', 'N6');
+  range('312', 0, 9, 'WIDTH (m)', 'N6');
+  range('313', 0, 9, 'HEIGHT (m)', 'N6');
+  range('314', 0, 9, 'AREA (m²)', 'N6');
+  range('315', 0, 9, 'NET VOLUME (l)', 'N6');
+  range('316', 0, 9, 'NET VOLUME (m³)', 'N6');
+  range('320', 0, 9, 'NET WEIGHT (lb)', 'N6');
+  range('321', 0, 9, 'LENGTH (in)', 'N6');
+  range('322', 0, 9, 'LENGTH (ft)', 'N6');
+  range('323', 0, 9, 'LENGTH (yd)', 'N6');
+  range('324', 0, 9, 'WIDTH (in)', 'N6');
+  range('325', 0, 9, 'WIDTH (ft)', 'N6');
+  range('326', 0, 9, 'WIDTH (yd)', 'N6');
+  range('327', 0, 9, 'HEIGHT (in)', 'N6');
+  range('328', 0, 9, 'HEIGHT (ft)', 'N6');
+  range('329', 0, 9, 'HEIGHT (yd)', 'N6');
+  range('330', 0, 9, 'GROSS WEIGHT (kg)', 'N6');
+  range('331', 0, 9, 'LENGTH (m), log', 'N6');
+  range('332', 0, 9, 'WIDTH (m), log', 'N6');
+  range('333', 0, 9, 'HEIGHT (m), log', 'N6');
+  range('334', 0, 9, 'AREA (m²), log', 'N6');
+  range('335', 0, 9, 'VOLUME (l), log', 'N6');
+  range('336', 0, 9, 'VOLUME (m³), log', 'N6');
+  range('337', 0, 9, 'KG PER m²', 'N6');
+  range('340', 0, 9, 'GROSS WEIGHT (lb)', 'N6');
+  range('341', 0, 9, 'LENGTH (in), log', 'N6');
+  range('342', 0, 9, 'LENGTH (ft), log', 'N6');
+  range('343', 0, 9, 'LENGTH (yd), log', 'N6');
+  range('344', 0, 9, 'WIDTH (in), log', 'N6');
+  range('345', 0, 9, 'WIDTH (ft), log', 'N6');
+  range('346', 0, 9, 'WIDTH (yd), log', 'N6');
+  range('347', 0, 9, 'HEIGHT (in), log', 'N6');
+  range('348', 0, 9, 'HEIGHT (ft), log', 'N6');
+  range('349', 0, 9, 'HEIGHT (yd), log', 'N6');
+  range('350', 0, 9, 'AREA (in²)', 'N6');
+  range('351', 0, 9, 'AREA (ft²)', 'N6');
+  range('352', 0, 9, 'AREA (yd²)', 'N6');
+  range('353', 0, 9, 'AREA (in²), log', 'N6');
+  range('354', 0, 9, 'AREA (ft²), log', 'N6');
+  range('355', 0, 9, 'AREA (yd²), log', 'N6');
+  range('356', 0, 9, 'NET WEIGHT (t oz)', 'N6');
+  range('357', 0, 9, 'NET VOLUME (oz)', 'N6');
+  range('360', 0, 9, 'NET VOLUME (qt)', 'N6');
+  range('361', 0, 9, 'NET VOLUME (gal)', 'N6');
+  range('362', 0, 9, 'VOLUME (qt), log', 'N6');
+  range('363', 0, 9, 'VOLUME (gal), log', 'N6');
+  range('364', 0, 9, 'VOLUME (in³)', 'N6');
+  range('365', 0, 9, 'VOLUME (ft³)', 'N6');
+  range('366', 0, 9, 'VOLUME (yd³)', 'N6');
+  range('367', 0, 9, 'VOLUME (in³), log', 'N6');
+  range('368', 0, 9, 'VOLUME (ft³), log', 'N6');
+  range('369', 0, 9, 'VOLUME (yd³), log', 'N6');
+  def('37', 'COUNT', 'N..8');
+  range('390', 0, 9, 'AMOUNT', 'N..15');
+  range('391', 0, 9, 'AMOUNT (ISO)', 'N4..18');
+  range('392', 0, 9, 'PRICE', 'N..15');
+  range('393', 0, 9, 'PRICE (ISO)', 'N4..18');
+  range('394', 0, 9, 'PRCNT OFF', 'N4');
+  range('395', 0, 9, 'PRICE/UoM', 'N6');
+  def('400', 'ORDER NUMBER', 'X..30');
+  def('401', 'GINC', 'X..30');
+  def('402', 'GSIN', 'N17', key);
+  def('403', 'ROUTE', 'X..30');
+  def('410', 'SHIP TO LOC', 'N13', key);
+  def('411', 'BILL TO', 'N13', key);
+  def('412', 'PURCHASE FROM', 'N13', key);
+  def('413', 'SHIP FOR LOC', 'N13', key);
+  def('414', 'LOC No.', 'N13', key);
+  def('415', 'PAY TO', 'N13', key);
+  def('416', 'PROD/SERV LOC', 'N13', key);
+  def('417', 'PARTY', 'N13', key);
+  def('420', 'SHIP TO POST', 'X..20');
+  def('421', 'SHIP TO POST', 'X4..12');
+  def('422', 'ORIGIN', 'N3');
+  def('423', 'COUNTRY - INITIAL PROCESS', 'N3..15');
+  def('424', 'COUNTRY - PROCESS', 'N3');
+  def('425', 'COUNTRY - DISASSEMBLY', 'N3..15');
+  def('426', 'COUNTRY - FULL PROCESS', 'N3');
+  def('427', 'ORIGIN SUBDIVISION', 'X..3');
+  def('4300', 'SHIP TO COMP', 'X..35');
+  def('4301', 'SHIP TO NAME', 'X..35');
+  def('4302', 'SHIP TO ADD1', 'X..70');
+  def('4303', 'SHIP TO ADD2', 'X..70');
+  def('4304', 'SHIP TO SUB', 'X..70');
+  def('4305', 'SHIP TO LOC', 'X..70');
+  def('4306', 'SHIP TO REG', 'X..70');
+  def('4307', 'SHIP TO COUNTRY', 'X2');
+  def('4308', 'SHIP TO PHONE', 'X..30');
+  def('4309', 'SHIP TO GEO', 'N20');
+  def('4310', 'RTN TO COMP', 'X..35');
+  def('4311', 'RTN TO NAME', 'X..35');
+  def('4312', 'RTN TO ADD1', 'X..70');
+  def('4313', 'RTN TO ADD2', 'X..70');
+  def('4314', 'RTN TO SUB', 'X..70');
+  def('4315', 'RTN TO LOC', 'X..70');
+  def('4316', 'RTN TO REG', 'X..70');
+  def('4317', 'RTN TO COUNTRY', 'X2');
+  def('4318', 'RTN TO POST', 'X..20');
+  def('4319', 'RTN TO PHONE', 'X..30');
+  def('4320', 'SRV DESCRIPTION', 'X..35');
+  def('4321', 'DANGEROUS GOODS', 'N1');
+  def('4322', 'AUTH LEAVE', 'N1');
+  def('4323', 'SIG REQUIRED', 'N1');
+  def('4324', 'NBEF DEL DT', 'N10');
+  def('4325', 'NAFT DEL DT', 'N10');
+  def('4326', 'REL DATE', 'N6', date);
+  def('4330', 'MAX TEMP F', 'X6..7');
+  def('4331', 'MAX TEMP C', 'X6..7');
+  def('4332', 'MIN TEMP F', 'X6..7');
+  def('4333', 'MIN TEMP C', 'X6..7');
+  def('7001', 'NSN', 'N13');
+  def('7002', 'MEAT CUT', 'X..30');
+  def('7003', 'EXPIRY TIME', 'N10');
+  def('7004', 'ACTIVE POTENCY', 'N..4');
+  def('7005', 'CATCH AREA', 'X..12');
+  def('7006', 'FIRST FREEZE DATE', 'N6', date);
+  def('7007', 'HARVEST DATE', 'N6..12');
+  def('7008', 'AQUATIC SPECIES', 'X..3');
+  def('7009', 'FISHING GEAR TYPE', 'X..10');
+  def('7010', 'PROD METHOD', 'X..2');
+  def('7011', 'TEST BY DATE', 'N6..10');
+  def('7020', 'REFURB LOT', 'X..20');
+  def('7021', 'FUNC STAT', 'X..20');
+  def('7022', 'REV STAT', 'X..20');
+  def('7023', 'GIAI - ASSEMBLY', 'X..30');
+  range('703', 0, 9, 'PROCESSOR #', 'X4..30');
+  def('7040', 'UIC+EXT', 'X4');
+  def('7041', 'UFRGT UNIT TYPE', 'X..4');
+  def('710', 'NHRN PZN', 'X..20');
+  def('711', 'NHRN CIP', 'X..20');
+  def('712', 'NHRN CN', 'X..20');
+  def('713', 'NHRN DRN', 'X..20');
+  def('714', 'NHRN AIM', 'X..20');
+  def('715', 'NHRN NDC', 'X..20');
+  def('716', 'NHRN AIC', 'X..20');
+  range('723', 0, 9, 'CERT #', 'X3..30');
+  def('7240', 'PROTOCOL', 'X..20');
+  def('7241', 'AIDC MEDIA TYPE', 'N2');
+  def('7242', 'VCN', 'X..25');
+  def('7250', 'DOB', 'N8');
+  def('7251', 'DOB TIME', 'N12');
+  def('7252', 'BIO SEX', 'N1');
+  def('7253', 'FAMILY NAME', 'X..40');
+  def('7254', 'GIVEN NAME', 'X..40');
+  def('7255', 'SUFFIX', 'X..10');
+  def('7256', 'FULL NAME', 'X..90');
+  def('7257', 'PERSON ADDR', 'X..70');
+  def('7258', 'BIRTH SEQUENCE', 'X3');
+  def('7259', 'BABY', 'X..40');
+  def('8001', 'DIMENSIONS', 'N14');
+  def('8002', 'CMT No.', 'X..20');
+  def('8003', 'GRAI', 'X14..30');
+  def('8004', 'GIAI', 'X..30');
+  def('8005', 'PRICE PER UNIT', 'N6');
+  def('8006', 'ITIP', 'N18');
+  def('8007', 'IBAN', 'X..34');
+  def('8008', 'PROD TIME', 'N8..12');
+  def('8009', 'OPTSEN', 'X..50');
+  def('8010', 'CPID', 'X..30');
+  def('8011', 'CPID SERIAL', 'N..12');
+  def('8012', 'VERSION', 'X..20');
+  def('8013', 'GMN', 'X..25');
+  def('8014', 'MUDI', 'X..25');
+  def('8017', 'GSRN - PROVIDER', 'N18', key);
+  def('8018', 'GSRN - RECIPIENT', 'N18', key);
+  def('8019', 'SRIN', 'N..10');
+  def('8020', 'REF No.', 'X..25');
+  def('8026', 'ITIP CONTENT', 'N18');
+  def('8030', 'DIGSIG', 'X..90');
+  def('8110', 'COUPON', 'X..70');
+  def('8111', 'POINTS', 'N4');
+  def('8112', 'PAPERLESS COUPON', 'X..70');
+  def('8200', 'PRODUCT URL', 'X..70');
+  def('90', 'INTERNAL', 'X..30');
+  range('9', 1, 9, 'INTERNAL', 'X..90');
+})();
+
+function parseAIFormat(format) {
+  const m = format.match(/^([NX])(\d*)(\.\.)?(\d*)$/);
+  const type = m[1];
+  if (!m[3]) return { type, fixed: true, min: +m[2], max: +m[2] };
+  return { type, fixed: false, min: +m[2] || 1, max: +m[4] };
+}
+
+function findAI(data, pos) {
+  for (let len = 2; len <= 4; len++) {
+    const ai = data.substr(pos, len);
+    if (ai.length === len && /^\d+$/.test(ai) && GS1_AI[ai]) return GS1_AI[ai];
+  }
+  return null;
+}
+
+function gs1CheckDigit(body) {
+  let sum = 0;
+  for (let i = body.length - 1, w = 3; i >= 0; i--, w = w === 3 ? 1 : 3) sum += parseInt(body[i], 10) * w;
+  return String((10 - (sum % 10)) % 10);
+}
+
+function isValidCheckDigit(code) {
+  return /^\d{2,}$/.test(code) && gs1CheckDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+function gs1Error(result, code, message, extra = {}) {
+  result.errors.push({ code, message, ...extra });
+}
+
+function validateAIValue(spec, value, result) {
+  if (value.length < spec.min) { gs1Error(result, 'TRUNCATED', `(${spec.ai}) ${spec.title} is too short`, { ai: spec.ai, value }); return false; }
+  if (value.length > spec.max) { gs1Error(result, 'TOO_LONG', `(${spec.ai}) ${spec.title} exceeds ${spec.max} characters — missing separator?`, { ai: spec.ai, value }); return false; }
+  if (spec.type === 'N' && !/^\d+$/.test(value)) { gs1Error(result, 'INVALID_CHARS', `(${spec.ai}) ${spec.title} must be numeric`, { ai: spec.ai, value }); return false; }
+  if (spec.type === 'X' && !/^[!-~]+$/.test(value)) { gs1Error(result, 'INVALID_CHARS', `(${spec.ai}) ${spec.title} contains invalid characters`, { ai: spec.ai, value }); return false; }
+  if (spec.check && !isValidCheckDigit(value)) { gs1Error(result, 'CHECK_DIGIT', `(${spec.ai}) ${spec.title} check digit is wrong`, { ai: spec.ai, value }); return false; }
+  if (spec.date && !parseExpiryDate(value)) { gs1Error(result, 'INVALID_DATE', `(${spec.ai}) ${spec.title} is not a valid date`, { ai: spec.ai, value }); return false; }
+  return true;
+}
+
+function addElement(spec, value, result) {
+  if (!validateAIValue(spec, value, result)) return;
+  if (result.ais[spec.ai] !== undefined && result.ais[spec.ai] !== value) {
+    gs1Error(result, 'CONFLICT', `(${spec.ai}) appears twice with different values`, { ai: spec.ai, value });
+    return;
+  }
+  result.ais[spec.ai] = value;
+  result.elements.push({ ai: spec.ai, title: spec.title, value });
+}
+
+// Element string with FNC1 (GS) separators after variable-length fields
+function parseElementString(data, result) {
+  let pos = 0;
+  while (pos < data.length) {
+    if (data[pos] === GS1_GS) { pos++; continue; }
+    const spec = findAI(data, pos);
+    if (!spec) { gs1Error(result, 'UNKNOWN_AI', `Unknown AI at position ${pos}`, { pos, value: data.substr(pos, 4) }); return; }
+    pos += spec.ai.length;
+    let value;
+    if (spec.fixed) {
+      value = data.substr(pos, spec.max);
+      pos += value.length;
+    } else {
+      const sep = data.indexOf(GS1_GS, pos);
+      const end = sep === -1 ? data.length : sep;
+      value = data.substring(pos, end);
+      pos = end;
+    }
+    addElement(spec, value, result);
+    if (result.errors.length) return;
+  }
+}
+
+// Human-readable form: (01)06291109120100(17)261231(10)AB12
+function parseParenthesized(data, result) {
+  const re = /\((\d{2,4})\)([^(]*)/g;
+  let m, last = 0;
+  while ((m = re.exec(data))) {
+    if (m.index !== last) { gs1Error(result, 'INVALID_FORMAT', `Unexpected text at position ${last}`, { pos: last }); return; }
+    last = re.lastIndex;
+    const spec = GS1_AI[m[1]];
+    if (!spec) { gs1Error(result, 'UNKNOWN_AI', `Unknown AI (${m[1]})`, { ai: m[1] }); return; }
+    addElement(spec, m[2].replace(new RegExp(GS1_GS, 'g'), '').trim(), result);
+    if (result.errors.length) return;
+  }
+  if (last !== data.length) gs1Error(result, 'INVALID_FORMAT', `Unexpected text at position ${last}`, { pos: last });
+}
+
 function parseGS1(raw) {
-  const result = { valid: false, raw, gtin14: '', gtin13: '', expiry: null, expiryFormatted: '', expiryStatus: 'missing', batch: '', serial: '', qty: 1 };
-  if (!raw || typeof raw !== 'string') return result;
+  const result = { valid: false, raw, symbology: '', ais: {}, elements: [], errors: [], gtin14: '', gtin13: '', expiry: null, expiryFormatted: '', expiryStatus: 'missing', prodDate: null, packDate: null, bestBefore: null, batch: '', serial: '', qty: 1 };
+  if (!raw || typeof raw !== 'string') { gs1Error(result, 'EMPTY', 'No barcode data'); return result; }
   
-  let code = raw.trim().replace(/\x1d/g, '|');
-  
-  if (/^\d{8,14}$/.test(code) && !code.includes('(')) {
-    result.gtin14 = code.padStart(14, '0');
-    result.gtin13 = result.gtin14.startsWith('0') ? result.gtin14.substring(1) : result.gtin14;
-    result.valid = true;
-    return result;
+  let code = raw.trim().replace(/<GS>|\{GS\}|\|/gi, GS1_GS);
+  const sym = code.match(/^\][A-Za-z]\d/);
+  if (sym) {
+    result.symbology = GS1_SYMBOLOGIES[sym[0]] || sym[0];
+    code = code.substring(3);
   }
+  code = code.replace(/^\x1d+/, '');
+  if (!code) { gs1Error(result, 'EMPTY', 'No barcode data'); return result; }
   
-  if (!code.includes('(') && /^\d{2}/.test(code)) {
-    code = convertToParenthesized(code);
+  // Plain GTIN-8/12/13/14 from a linear barcode
+  if (/^\d{8}$|^\d{12,14}$/.test(code)) {
+    if (!isValidCheckDigit(code)) { gs1Error(result, 'CHECK_DIGIT', 'GTIN check digit is wrong', { value: code }); return result; }
+    result.ais['01'] = code.padStart(14, '0');
+  } else if (code.startsWith('(')) {
+    parseParenthesized(code, result);
+  } else {
+    parseElementString(code, result);
   }
   
-  const gtinMatch = code.match(/\(01\)(\d{12,14})/);
-  if (gtinMatch) {
-    result.gtin14 = gtinMatch[1].padStart(14, '0');
-    result.gtin13 = result.gtin14.startsWith('0') ? result.gtin14.substring(1) : result.gtin14;
-    result.valid = true;
+  const gtin = result.ais['01'] || result.ais['02'];
+  if (gtin) {
+    result.gtin14 = gtin;
+    result.gtin13 = gtin.startsWith('0') ? gtin.substring(1) : gtin;
+  } else if (!result.errors.length) {
+    gs1Error(result, 'NO_GTIN', 'No GTIN in barcode');
   }
   
-  const expiryMatch = code.match(/\(17\)(\d{6})/);
-  if (expiryMatch) {
-    const p = parseExpiryDate(expiryMatch[1]);
+  if (result.ais['17']) {
+    const p = parseExpiryDate(result.ais['17']);
     result.expiry = p.iso;
     result.expiryFormatted = p.formatted;
     result.expiryStatus = getExpiryStatus(p.date);
   }
+  if (result.ais['11']) result.prodDate = parseExpiryDate(result.ais['11']).iso;
+  if (result.ais['13']) result.packDate = parseExpiryDate(result.ais['13']).iso;
+  if (result.ais['15']) result.bestBefore = parseExpiryDate(result.ais['15']).iso;
+  if (!result.expiry && result.bestBefore) result.expiryStatus = getExpiryStatus(parseExpiryDate(result.ais['15']).date);
+  if (result.ais['10']) result.batch = result.ais['10'].trim();
+  if (result.ais['21']) result.serial = result.ais['21'].trim();
+  const qty = result.ais['30'] || result.ais['37'];
+  if (qty) result.qty = parseInt(qty, 10) || 1;
   
-  const batchMatch = code.match(/\(10\)([^\(|\x1d]+)/);
-  if (batchMatch) result.batch = batchMatch[1].replace(/\|/g, '').trim();
-  
-  const serialMatch = code.match(/\(21\)([^\(|\x1d]+)/);
-  if (serialMatch) result.serial = serialMatch[1].replace(/\|/g, '').trim();
-  
-  const qtyMatch = code.match(/\(30\)(\d+)/);
-  if (qtyMatch) result.qty = parseInt(qtyMatch[1], 10) || 1;
-  
+  result.valid = !!result.gtin14 && result.errors.length === 0;
   return result;
 }
 
-function convertToParenthesized(code) {
-  let result = '', pos = 0;
-  const aiLengths = { '01': 14, '02': 14, '10': 'v', '11': 6, '13': 6, '15': 6, '17': 6, '20': 2, '21': 'v', '30': 'v', '37': 'v' };
-  
-  while (pos < code.length) {
-    let matched = false;
-    for (const [ai, len] of Object.entries(aiLengths)) {
-      if (code.substring(pos).startsWith(ai)) {
-        pos += ai.length;
-        let value;
-        if (len === 'v') {
-          const sep = code.indexOf('|', pos);
-          value = sep !== -1 ? code.substring(pos, sep) : code.substring(pos);
-          pos = sep !== -1 ? sep + 1 : code.length;
-        } else {
-          value = code.substring(pos, pos + len);
-          pos += len;
-        }
-        result += `(${ai})${value}`;
-        matched = true;
-        break;
-      }
-    }
-    if (!matched) pos++;
-  }
-  return result || code;
-}
-
+// GS1 dates are YYMMDD; DD=00 means last day of month. Century per GS1 §7.12.
 function parseExpiryDate(yymmdd) {
+  if (!/^\d{6}$/.test(yymmdd)) return null;
   const yy = parseInt(yymmdd.substring(0, 2), 10);
   const mm = parseInt(yymmdd.substring(2, 4), 10);
   let dd = parseInt(yymmdd.substring(4, 6), 10);
-  const year = yy >= 50 ? 1900 + yy : 2000 + yy;
-  if (dd === 0) dd = new Date(year, mm, 0).getDate();
+  const thisYear = new Date().getFullYear();
+  const diff = yy - (thisYear % 100);
+  let year = Math.floor(thisYear / 100) * 100 + yy;
+  if (diff >= 51) year -= 100;
+  else if (diff <= -50) year += 100;
+  if (mm < 1 || mm > 12) return null;
+  const lastDay = new Date(year, mm, 0).getDate();
+  if (dd === 0) dd = lastDay;
+  if (dd > lastDay) return null;
   const date = new Date(year, mm - 1, dd);
+  const mmStr = String(mm).padStart(2, '0'), ddStr = String(dd).padStart(2, '0');
   return {
     date,
-    iso: date.toISOString().split('T')[0],
-    formatted: `${String(dd).padStart(2, '0')}/${String(mm).padStart(2, '0')}/${year}`
+    iso: `${year}-${mmStr}-${ddStr}`,
+    formatted: `${ddStr}/${mmStr}/${year}`
   };
 }
 
-function getExpiryStatus(date) {
+function getExpiryStatus(date, profile = getThresholdProfile()) {
   if (!date) return 'missing';
   const now = new Date(); now.setHours(0,0,0,0);
   const exp = new Date(date); exp.setHours(0,0,0,0);
   const diff = Math.ceil((exp - now) / 86400000);
   if (diff < 0) return 'expired';
-  if (diff <= CONFIG.EXPIRY_SOON_DAYS) return 'expiring';
-  return 'ok';
+  const tier = Object.entries(profile.days)
+    .filter(([, days]) => days > 0)
+    .sort((a, b) => a[1] - b[1])
+    .find(([, days]) => diff <= days);
+  return tier ? tier[0] : 'ok';
+}
+
+// Expiry thresholds
+// A profile sets a window in days for each tier; the tightest window an item falls in wins.
+const EXPIRY_TIERS = {
+  discount: { label: 'Discount', style: 'expiring' },
+  expiring: { label: 'Expiring', style: 'expiring' },
+  return: { label: 'Return to supplier', style: 'expiring' }
+};
+const STATUS_LABELS = { expired: 'Expired', ok: 'OK', missing: 'OK' };
+
+const DEFAULT_THRESHOLD_PROFILES = [
+  { id: 'standard', name: 'Standard', days: { expiring: CONFIG.EXPIRY_SOON_DAYS } },
+  { id: 'biologics', name: 'Biologics', days: { expiring: 180 } },
+  { id: 'otc', name: 'OTC', days: { expiring: 60 } },
+  { id: 'fast', name: 'Fast-moving', days: { expiring: 30 } }
+];
+
+function getThresholdProfile(gtin14) {
+  const { profiles, products, categories } = State.thresholds;
+  const list = profiles.length ? profiles : DEFAULT_THRESHOLD_PROFILES;
+  const category = gtin14 && State.masterData.get(gtin14)?.category;
+  const id = (gtin14 && products[gtin14]) || (category && categories[category]) || 'standard';
+  return list.find(p => p.id === id) || list[0];
+}
+
+function statusLabel(status) {
+  return EXPIRY_TIERS[status]?.label || STATUS_LABELS[status] || status || '';
+}
+
+function statusStyle(status) {
+  return EXPIRY_TIERS[status]?.style || status || 'ok';
+}
+
+async function loadThresholds() {
+  const profiles = await DB.get('settings', 'thresholdProfiles');
+  const assignments = await DB.get('settings', 'thresholdAssignments');
+  State.thresholds.profiles = profiles?.value?.length ? profiles.value : DEFAULT_THRESHOLD_PROFILES.map(p => ({ ...p, days: { ...p.days } }));
+  State.thresholds.products = assignments?.value?.products || {};
+  State.thresholds.categories = assignments?.value?.categories || {};
+}
+
+async function saveThresholds() {
+  const { profiles, products, categories } = State.thresholds;
+  await DB.put('settings', { key: 'thresholdProfiles', value: profiles });
+  await DB.put('settings', { key: 'thresholdAssignments', value: { products, categories } });
+  await loadHistory();
+}
+
+async function assignThresholdProfile(gtin14, profileId) {
+  if (profileId) State.thresholds.products[gtin14] = profileId;
+  else delete State.thresholds.products[gtin14];
+  await saveThresholds();
+}
+
+// Dates on an entry besides expiry; the governing one drives expiryStatus
+const DATE_FIELDS = { expiry: 'Expiry', bestBefore: 'Best before', prodDate: 'Produced', packDate: 'Packed' };
+const DATE_BASIS = { expiry: ['expiry', 'bestBefore'], bestBefore: ['bestBefore', 'expiry'] };
+
+function isoToDate(iso) {
+  if (!iso) return null;
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function formatDate(iso) {
+  const d = isoToDate(iso);
+  if (!d || isNaN(d)) return '';
+  return `${String(d.getDate()).padStart(2,'0')}/${String(d.getMonth()+1).padStart(2,'0')}/${d.getFullYear()}`;
+}
+
+function getGoverningDate(entry) {
+  const order = DATE_BASIS[State.dateBasis[entry.gtin14]] || DATE_BASIS.expiry;
+  const field = order.find(f => entry[f]);
+  return field ? { field, iso: entry[field] } : null;
+}
+
+function refreshExpiryStatus(entry) {
+  const gov = getGoverningDate(entry);
+  entry.expiryStatus = gov ? getExpiryStatus(isoToDate(gov.iso), getThresholdProfile(entry.gtin14)) : 'missing';
+  return entry;
+}
+
+async function setDateBasis(gtin14, basis) {
+  if (basis === 'expiry') delete State.dateBasis[gtin14];
+  else State.dateBasis[gtin14] = basis;
+  await DB.put('settings', { key: 'dateBasis', value: State.dateBasis });
 }
 
 // Master Data
+// Record: { gtin, name, rms, supplier, price, category, packSize, storage, altGtins, source, pending, addedAt }
+// altGtins holds other barcodes for the same SKU (old/new packaging, inner/outer pack).
+// source is 'quick_add' for products named at the counter; pending until a supervisor approves.
+function normalizeGtin(value) {
+  const digits = String(value || '').replace(/[\s-]/g, '');
+  return /^\d{8,14}$/.test(digits) ? digits.padStart(14, '0') : '';
+}
+
+// "12,50", "1.234,50", "1,234.50", "AED 12.50" → number; blank → null; NaN when
+// the separators could be read either way, e.g. "1,250". delim is the CSV
+// delimiter: ; files come from locales that write a decimal comma.
+function parsePrice(value, delim = '') {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (value == null || String(value).trim() === '') return null;
+  const text = String(value).replace(/[^\d.,-]/g, '');
+  const commas = (text.match(/,/g) || []).length, dots = (text.match(/\./g) || []).length;
+  let decimal = '';
+  if (commas && dots) {
+    decimal = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+  } else if (commas + dots === 1) {
+    const sep = commas ? ',' : '.';
+    const tail = text.length - text.indexOf(sep) - 1;
+    // Three digits after a lone separator reads as thousands just as well
+    if (tail !== 3 || (sep === '.' && delim !== ';')) decimal = sep;
+    else return NaN;
+  }
+  const thousands = decimal === ',' ? '.' : decimal === '.' ? ',' : commas ? ',' : '.';
+  const cut = decimal ? text.lastIndexOf(decimal) : text.length;
+  const groups = text.slice(0, cut).split(thousands), frac = text.slice(cut + 1);
+  if (groups.length > 1 && (!/^-?\d{1,3}$/.test(groups[0]) || groups.slice(1).some(g => !/^\d{3}$/.test(g)))) return NaN;
+  if (!/^-?\d+$/.test(groups.join('')) || !/^\d*$/.test(frac)) return NaN;
+  return parseFloat(`${groups.join('')}.${frac || 0}`);
+}
+
+function normalizeMasterRecord(item) {
+  const gtin = normalizeGtin(item.gtin) || item.gtin;
+  const price = parsePrice(item.price);
+  return {
+    gtin,
+    name: item.name || '',
+    rms: item.rms || '',
+    supplier: item.supplier || '',
+    price: Number.isFinite(price) ? price : null,
+    category: item.category || '',
+    packSize: item.packSize || '',
+    storage: item.storage || '',
+    altGtins: [...new Set((item.altGtins || []).map(normalizeGtin).filter(g => g && g !== gtin))],
+    source: item.source || '',
+    pending: !!item.pending,
+    addedAt: item.addedAt || null
+  };
+}
+
 async function loadMasterData() {
   try {
     const data = await DB.getAll('master');
     State.masterData.clear();
-    State.masterIndex.exact.clear();
-    State.masterIndex.last8.clear();
-    
-    data.forEach(item => {
+    data.forEach(raw => {
+      const item = normalizeMasterRecord(raw);
       State.masterData.set(item.gtin, item);
-      const g14 = item.gtin.padStart(14, '0');
-      State.masterIndex.exact.set(g14, item);
-      const l8 = g14.slice(-8);
-      if (!State.masterIndex.last8.has(l8)) State.masterIndex.last8.set(l8, []);
-      State.masterIndex.last8.get(l8).push(item);
     });
-    
+    matcher.index([...State.masterData.values()]);
     updateMasterStats();
   } catch (err) { console.error('Load master failed:', err); }
 }
 
-async function saveMasterData(items) {
+// Import modes: replace the whole list, upsert the listed rows, or delete the listed GTINs
+const IMPORT_MODES = { replace: 'Replace all', merge: 'Update / add', delete: 'Delete listed' };
+
+function masterRecordChanged(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].some(k => JSON.stringify(a[k]) !== JSON.stringify(b[k]));
+}
+
+function planMasterImport(items, mode = 'replace') {
+  const plan = { mode, put: [], remove: [], added: [], changed: [], removed: [] };
+  if (mode === 'delete') {
+    items.forEach(it => {
+      const old = State.masterData.get(it.gtin);
+      if (old) { plan.remove.push(it.gtin); plan.removed.push(old); }
+    });
+    return plan;
+  }
+  
+  const listed = new Set();
+  items.forEach(it => {
+    listed.add(it.gtin);
+    const old = State.masterData.get(it.gtin);
+    const next = normalizeMasterRecord(mode === 'merge' && old ? { ...old, ...it } : it);
+    if (!old) plan.added.push(next);
+    else if (masterRecordChanged(old, next)) plan.changed.push({ before: old, after: next });
+    else return;
+    plan.put.push(next);
+  });
+  if (mode === 'replace') {
+    State.masterData.forEach((old, gtin) => {
+      if (!listed.has(gtin)) { plan.remove.push(gtin); plan.removed.push(old); }
+    });
+  }
+  return plan;
+}
+
+async function commitMasterImport(plan) {
   try {
-    await DB.clear('master');
-    for (const item of items) await DB.put('master', item);
+    await DB.bulk('master', { put: plan.put, remove: plan.remove });
+    await Audit.log('import', {
+      target: plan.mode,
+      before: { changed: plan.changed.map(c => c.before), removed: plan.removed },
+      after: { added: plan.added.length, changed: plan.changed.length, removed: plan.removed.length }
+    });
+    await DB.put('settings', { key: 'masterUndo', value: {
+      time: new Date().toISOString(),
+      mode: plan.mode,
+      restore: [...plan.changed.map(c => c.before), ...plan.removed],
+      remove: plan.added.map(it => it.gtin)
+    } });
     await DB.put('settings', { key: 'masterUpdated', value: new Date().toISOString() });
     await loadMasterData();
-    showToast(`Loaded ${items.length} products`, 'success');
+    showToast(`${plan.added.length} added, ${plan.changed.length} changed, ${plan.removed.length} removed`, 'success');
   } catch (err) {
     console.error('Save master failed:', err);
     showToast('Failed to save', 'error');
   }
 }
 
-function parseMasterCSV(text) {
-  const lines = text.split(/\r?\n/).filter(l => l.trim());
-  if (lines.length < 2) return [];
-  const delim = text.includes('\t') ? '\t' : ',';
-  const headers = lines[0].toLowerCase().split(delim).map(h => h.trim().replace(/"/g, ''));
-  const gtinCol = headers.findIndex(h => /gtin|ean|barcode|code|upc/i.test(h));
-  const nameCol = headers.findIndex(h => /name|product|description|item/i.test(h));
-  if (gtinCol === -1 || nameCol === -1) { showToast('Need GTIN and Name columns', 'error'); return []; }
-  
-  const items = [];
-  for (let i = 1; i < lines.length; i++) {
-    const vals = lines[i].split(delim).map(v => v.trim().replace(/^"|"$/g, ''));
-    if (vals[gtinCol] && vals[nameCol]) {
-      items.push({ gtin: vals[gtinCol].replace(/\D/g, '').padStart(14, '0'), name: vals[nameCol] });
+async function saveMasterData(items, mode = 'replace') {
+  await commitMasterImport(planMasterImport(items, mode));
+}
+
+async function undoMasterImport() {
+  const undo = await DB.get('settings', 'masterUndo');
+  if (!undo?.value) { showToast('Nothing to undo', 'warning'); return; }
+  const { restore, remove, time } = undo.value;
+  showConfirm('Undo Import', `Revert the import from ${new Date(time).toLocaleString()}? ${remove.length} products will be removed and ${restore.length} restored.`, async () => {
+    try {
+      await DB.bulk('master', { put: restore, remove });
+      await DB.delete('settings', 'masterUndo');
+      await Audit.log('import_undo', { target: time, after: { restored: restore.length, removed: remove.length } });
+      await loadMasterData();
+      showToast('Import undone', 'success');
+    } catch (err) {
+      console.error('Undo import failed:', err);
+      showToast('Undo failed', 'error');
+    }
+  });
+}
+
+// RFC 4180 CSV/TSV: quoted fields, "" escapes, embedded newlines, CRLF
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function parseCSV(text, delim = detectDelimiter(text)) {
+  const rows = [];
+  let row = [], field = '', inQuotes = false, i = 0;
+  text = text.replace(/^\uFEFF/, '');
+  while (i < text.length) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (ch === '"') inQuotes = false;
+      else field += ch;
+      i++;
+      continue;
     }
+    if (ch === '"' && field === '') inQuotes = true;
+    else if (ch === delim) { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    }
+    else field += ch;
+    i++;
   }
-  return items;
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim()));
 }
 
-function matchProduct(gtin14) {
-  if (State.masterIndex.exact.has(gtin14)) return { product: State.masterIndex.exact.get(gtin14), matchType: 'exact' };
-  const l8 = gtin14.slice(-8);
-  if (State.masterIndex.last8.has(l8)) {
-    const m = State.masterIndex.last8.get(l8);
-    if (m.length === 1) return { product: m[0], matchType: 'last8' };
+// Master columns the import mapper can assign, with header patterns in priority order
+const MASTER_COLUMNS = {
+  gtin: { label: 'GTIN / Barcode', required: true, patterns: [/^(gtin|gtin-?1[34]|ean|ean-?13|upc|barcode)$/, /barcode|gtin|ean|upc/] },
+  name: { label: 'Product name', required: true, patterns: [/^(product name|name|description|item name)$/, /name|description/] },
+  rms: { label: 'RMS / item code', patterns: [/^(rms|rms code|item code|sku)$/, /rms|item code|product code|sku|internal/] },
+  packSize: { label: 'Pack size', patterns: [/^(pack size|pack|size)$/, /pack|size/] },
+  supplier: { label: 'Supplier', patterns: [/^(supplier|vendor|manufacturer)$/, /supplier|vendor|manufacturer/] },
+  category: { label: 'Category', patterns: [/^(category|class|group)$/, /categ|class|group/] },
+  price: { label: 'Unit price', patterns: [/^(price|unit price|cost)$/, /price|cost/] },
+  storage: { label: 'Storage condition', patterns: [/^(storage|storage condition)$/, /storage|temp/] },
+  altGtins: { label: 'Alternate barcodes', patterns: [/^(alt(ernate)? (gtins?|barcodes?))$/, /alt|other barcode|additional/] }
+};
+
+function guessColumnMapping(headers) {
+  const norm = headers.map(h => h.trim().toLowerCase());
+  const mapping = {}, used = new Set();
+  for (const [field, col] of Object.entries(MASTER_COLUMNS)) {
+    for (const re of col.patterns) {
+      const idx = norm.findIndex((h, i) => !used.has(i) && re.test(h));
+      if (idx !== -1) { mapping[field] = idx; used.add(idx); break; }
+    }
   }
-  return { product: null, matchType: 'none' };
+  return mapping;
 }
 
-// API Lookup
-async function lookupProductAPI(gtin14) {
-  if (!State.apiLookupEnabled || !navigator.onLine) return null;
+function mapMasterRows(rows, mapping, { requireName = true, delim = '' } = {}) {
+  const items = [], rejected = [], seen = new Set();
+  let badCheckDigit = 0;
+  rows.forEach((vals, i) => {
+    const get = field => mapping[field] !== undefined ? (vals[mapping[field]] || '').trim() : '';
+    const rawGtin = get('gtin'), name = get('name').replace(/\s+/g, ' ');
+    const reject = reason => rejected.push({ row: i + 2, reason, value: rawGtin || name });
+    if (!rawGtin) return reject('Missing GTIN');
+    const gtin = normalizeGtin(rawGtin);
+    if (!gtin) return reject('Invalid GTIN');
+    if (!name && requireName) return reject('Missing name');
+    const price = parsePrice(get('price'), delim);
+    if (Number.isNaN(price)) return reject('Unclear price');
+    if (seen.has(gtin)) return reject('Duplicate GTIN');
+    seen.add(gtin);
+    if (!isValidCheckDigit(gtin)) badCheckDigit++;
+    
+    const item = { gtin, name };
+    ['rms', 'packSize', 'supplier', 'category', 'storage'].forEach(f => { const v = get(f); if (v) item[f] = v; });
+    if (price != null) item.price = price;
+    if (get('altGtins')) item.altGtins = get('altGtins').split(/[|;,\s]+/);
+    items.push(item);
+  });
+  return { items, rejected, badCheckDigit };
+}
+
+function summariseRejections(rejected) {
+  const counts = {};
+  rejected.forEach(r => { counts[r.reason] = (counts[r.reason] || 0) + 1; });
+  return Object.entries(counts).map(([reason, n]) => ({ reason, n }));
+}
+
+// Import preview: column mapping, first rows and rejection counts before saving
+function openMasterImport(fileName, text) {
+  const delim = detectDelimiter(text);
+  const table = parseCSV(text, delim);
+  if (table.length < 2) { showToast('File has no data rows', 'error'); return; }
+  const [headers, ...rows] = table;
+  const mapping = guessColumnMapping(headers);
   
-  const ndc = gtin14.substring(3, 13).replace(/^0+/, '');
-  const formattedNDC = ndc.padStart(11, '0');
-  const ndcDash = `${formattedNDC.slice(0,5)}-${formattedNDC.slice(5,9)}-${formattedNDC.slice(9)}`;
+  const headerOptions = sel => '<option value="">—</option>' +
+    headers.map((h, i) => `<option value="${i}"${i === sel ? ' selected' : ''}>${escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+  const html = `
+    <p class="import-file">${escapeHtml(fileName)} • ${rows.length} rows</p>
+    <label class="form-label">Mode
+      <select class="form-input import-mode">${Object.entries(IMPORT_MODES).map(([m, label]) => `<option value="${m}">${label}</option>`).join('')}</select>
+    </label>
+    <div class="import-mapping">
+      ${Object.entries(MASTER_COLUMNS).map(([field, col]) => `
+        <label class="form-label">${col.label}${col.required ? ' *' : ''}
+          <select class="form-input import-col" data-field="${field}">${headerOptions(mapping[field])}</select>
+        </label>`).join('')}
+    </div>
+    <div class="import-preview"></div>
+  `;
   
-  // Try OpenFDA
-  try {
-    const ctrl = new AbortController();
-    setTimeout(() => ctrl.abort(), 6000);
-    const res = await fetch(`${CONFIG.API.OPEN_FDA}?search=packaging.package_ndc:"${ndcDash}"&limit=1`, { signal: ctrl.signal });
-    if (res.ok) {
-      const data = await res.json();
-      if (data.results?.length > 0) {
-        const d = data.results[0];
-        let name = d.brand_name || d.generic_name || '';
-        if (d.active_ingredients?.[0]?.strength) name += ` ${d.active_ingredients[0].strength}`;
-        if (d.dosage_form && !name.toLowerCase().includes(d.dosage_form.toLowerCase())) name += ` ${d.dosage_form}`;
-        return { name: name.trim(), source: 'OpenFDA' };
-      }
-    }
-  } catch (e) {}
+  let result, plan;
+  const body = openSheet('Import Master Data', html, [
+    { label: 'Import', primary: true, onClick: async () => {
+      if (!plan || !(plan.put.length || plan.remove.length)) { showToast('Nothing to change', 'warning'); return; }
+      closeSheet();
+      await commitMasterImport(plan);
+    } }
+  ]);
   
-  // Try DailyMed
-  try {
-    const ctrl = new AbortController();
-    setTimeout(() => ctrl.abort(), 6000);
-    const res = await fetch(`${CONFIG.API.DAILYMED}?ndc=${ndc}&pagesize=1`, { signal: ctrl.signal });
-    if (res.ok) {
-      const data = await res.json();
-      if (data.data?.length > 0) return { name: data.data[0].title, source: 'DailyMed' };
+  const render = () => {
+    body.querySelectorAll('.import-col').forEach(s => {
+      if (s.value === '') delete mapping[s.dataset.field];
+      else mapping[s.dataset.field] = parseInt(s.value, 10);
+    });
+    const mode = body.querySelector('.import-mode').value;
+    const preview = body.querySelector('.import-preview');
+    if (mapping.gtin === undefined || (mapping.name === undefined && mode !== 'delete')) {
+      result = plan = null;
+      preview.innerHTML = '<p class="import-error">Select the GTIN and name columns</p>';
+      return;
     }
-  } catch (e) {}
+    result = mapMasterRows(rows, mapping, { requireName: mode !== 'delete', delim });
+    plan = planMasterImport(result.items, mode);
+    const fields = Object.keys(MASTER_COLUMNS).filter(f => mapping[f] !== undefined);
+    preview.innerHTML = `
+      <table class="import-table">
+        <tr>${fields.map(f => `<th>${MASTER_COLUMNS[f].label}</th>`).join('')}</tr>
+        ${result.items.slice(0, 5).map(it => `<tr>${fields.map(f => `<td>${escapeHtml(String(it[f] ?? ''))}</td>`).join('')}</tr>`).join('')}
+      </table>
+      <p class="import-summary">${result.items.length} valid • ${result.rejected.length} rejected${result.badCheckDigit ? ` • ${result.badCheckDigit} with wrong check digit` : ''}</p>
+      ${summariseRejections(result.rejected).map(r => `<p class="import-error">${escapeHtml(r.reason)}: ${r.n} (e.g. row ${result.rejected.find(x => x.reason === r.reason).row})</p>`).join('')}
+      <p class="import-diff">${plan.added.length} added • ${plan.changed.length} changed • ${plan.removed.length} removed</p>
+      ${plan.changed.length ? `<ul class="import-changed">${plan.changed.slice(0, 20).map(c => `<li>${escapeHtml(c.after.name)}</li>`).join('')}${plan.changed.length > 20 ? `<li>… ${plan.changed.length - 20} more</li>` : ''}</ul>` : ''}
+    `;
+  };
+  body.querySelectorAll('.import-col, .import-mode').forEach(s => s.addEventListener('change', render));
+  render();
+}
+
+// PharmacyMatcher result types → matchType stored on history entries
+const MATCH_TYPES = {
+  exact_barcode: 'exact',
+  alternate_barcode: 'alternate',
+  last8_barcode: 'last8',
+  series_barcode: 'series',
+  name: 'name',
+  no_match: 'none'
+};
+
+function matchProduct(query) {
+  const m = matcher.smartMatch(query);
+  const matchType = MATCH_TYPES[m.type];
+  if (m.results.length === 1) return { product: m.results[0], matchType, candidates: m.results };
+  return { product: null, matchType: 'none', candidates: m.results };
+}
+
+// A product picked by name or partial barcode has no GS1 data of its own
+function parsedFromProduct(product) {
+  const parsed = parseGS1('');
+  parsed.gtin14 = product.gtin;
+  parsed.gtin13 = product.gtin.startsWith('0') ? product.gtin.substring(1) : product.gtin;
+  parsed.valid = true;
+  parsed.errors = [];
+  return parsed;
+}
+
+// Scanned or typed input → parsed barcode plus product. Anything that is not
+// a GS1 string (a product name, a truncated barcode) goes through smartMatch.
+// GTIN-length digits and input led by an AI run (a raw DataMatrix read) are
+// barcodes, so a failed parse keeps its errors to show why it was rejected.
+function resolveInput(code) {
+  const text = String(code || '').trim();
+  const parsed = parseGS1(text);
+  if (parsed.valid) return { parsed, ...matchProduct(parsed.gtin14) };
   
-  // Try OpenFoodFacts
-  try {
-    const ctrl = new AbortController();
-    setTimeout(() => ctrl.abort(), 5000);
-    const barcode = gtin14.replace(/^0+/, '');
-    const res = await fetch(`${CONFIG.API.OPEN_FOOD_FACTS}${barcode}.json`, { signal: ctrl.signal });
-    if (res.ok) {
-      const data = await res.json();
-      if (data.status === 1 && data.product?.product_name) return { name: data.product.product_name, source: 'OpenFoodFacts' };
-    }
-  } catch (e) {}
+  const looksGS1 = /^\]|\(\d{2,4}\)|\x1d/.test(text) || /^\d{8,14}$|^\d{15,}/.test(text);
+  if (!text || looksGS1) return { parsed, product: null, matchType: 'none', candidates: [] };
   
-  return null;
+  const match = matchProduct(text);
+  if (!match.product) {
+    if (!match.candidates.length) parsed.errors = [{ code: 'NO_MATCH', message: 'No matching product' }];
+    return { parsed, ...match };
+  }
+  return { ...match, parsed: parsedFromProduct(match.product) };
 }
 
-// History
-async function loadHistory() {
-  try {
-    State.history = await DB.getAll('history');
-    State.history.sort((a, b) => new Date(b.scanTime) - new Date(a.scanTime));
-    State.history.forEach(e => { if (e.expiry) e.expiryStatus = getExpiryStatus(new Date(e.expiry)); });
-    filterHistory();
-    renderRecentScans();
-    updateStats();
-  } catch (err) { console.error('Load history failed:', err); }
+// Like resolveInput, but lets the user settle ambiguous matches. Null if they cancel.
+async function resolveOrPick(code) {
+  const match = resolveInput(code);
+  if (match.product || match.candidates.length < 2) return match;
+  const scanned = match.parsed.valid ? match.parsed.gtin14 : '';
+  const choice = await pickCandidate(match.candidates, scanned);
+  if (!choice) return null;
+  const product = State.masterData.get(choice.product.gtin) || choice.product;
+  if (choice.remember && scanned) await rememberAlternateGtin(product, scanned);
+  return { ...match, product, matchType: 'user_selected', parsed: scanned ? match.parsed : parsedFromProduct(product) };
 }
 
-async function addToHistory(entry) {
+async function rememberAlternateGtin(product, gtin14) {
+  if (product.gtin === gtin14 || product.altGtins.includes(gtin14)) return;
   try {
-    const existing = await DB.findByGtinBatch(entry.gtin14, entry.batch);
-    if (existing) {
-      existing.qty = (existing.qty || 1) + (entry.qty || 1);
-      existing.scanTime = entry.scanTime;
-      await DB.put('history', existing);
-      showToast(`Updated qty: ${existing.qty}`, 'success');
-    } else {
-      await DB.put('history', entry);
-      showToast('Added', 'success');
-    }
-    await loadHistory();
-    Haptic.success();
+    await DB.put('master', normalizeMasterRecord({ ...product, altGtins: [...product.altGtins, gtin14] }));
+    await loadMasterData();
+    showToast('Barcode remembered', 'success');
   } catch (err) {
-    console.error('Add failed:', err);
-    showToast('Failed to save', 'error');
-    Haptic.error();
+    console.error('Remember barcode failed:', err);
+    showToast('Failed to save barcode', 'error');
   }
 }
 
-async function updateHistoryEntry(entry) {
-  try {
-    await DB.put('history', entry);
-    await loadHistory();
-    showToast('Updated', 'success');
-  } catch (err) { showToast('Update failed', 'error'); }
-}
+// API Lookup
+// Providers are tried in the configured order until one knows the product.
+// Each answers for some GS1 prefixes, matched against the GTIN-13 (629 UAE,
+// 50 UK, 03 US drugs); no prefixes means any GTIN. Provider contract:
+//   lookup(gtin14, fetchJSON) → { name, strength, form, manufacturer } | null
+// null means the source answered but doesn't know the GTIN; a throw means it
+// couldn't be reached. fetchJSON(url, { timeout, headers }) → parsed JSON,
+// null for a 4xx, and throws on network errors, timeouts, 5xx and 401/403/429.
+const LOOKUP_TIMEOUT = 6000;
+const LOOKUP_REFUSED = { 401: 'Key not accepted', 403: 'Access refused', 429: 'Rate limited' };
 
-async function deleteHistoryEntry(id) {
-  try {
-    await DB.delete('history', id);
-    await loadHistory();
-    showToast('Deleted', 'success');
-  } catch (err) { showToast('Delete failed', 'error'); }
-}
+// US pharma GTINs embed the NDC: (0)03 + NDC-10 + check digit
+const ndcFromGtin = gtin14 => gtin14.substring(3, 13);
 
-function filterHistory() {
-  let filtered = [...State.history];
-  if (State.searchQuery) {
-    const q = State.searchQuery.toLowerCase();
-    filtered = filtered.filter(e => 
-      (e.name?.toLowerCase().includes(q)) || (e.gtin14?.includes(q)) || (e.batch?.toLowerCase().includes(q))
-    );
+const LOOKUP_PROVIDERS = [
+  {
+    id: 'openfda',
+    label: 'OpenFDA',
+    prefixes: ['03'],
+    async lookup(gtin14, fetchJSON) {
+      const ndc = ndcFromGtin(gtin14).replace(/^0+/, '').padStart(11, '0');
+      const ndcDash = `${ndc.slice(0,5)}-${ndc.slice(5,9)}-${ndc.slice(9)}`;
+      const data = await fetchJSON(`${CONFIG.API.OPEN_FDA}?search=packaging.package_ndc:"${ndcDash}"&limit=1`);
+      const d = data?.results?.[0];
+      if (!d) return null;
+      return { name: d.brand_name || d.generic_name || '', strength: d.active_ingredients?.[0]?.strength || '', form: d.dosage_form || '', manufacturer: d.labeler_name || '' };
+    }
+  },
+  {
+    id: 'dailymed',
+    label: 'DailyMed',
+    prefixes: ['03'],
+    async lookup(gtin14, fetchJSON) {
+      const data = await fetchJSON(`${CONFIG.API.DAILYMED}?ndc=${ndcFromGtin(gtin14).replace(/^0+/, '')}&pagesize=1`);
+      const title = data?.data?.[0]?.title;
+      if (!title) return null;
+      // Titles end with the labeler in brackets: "IBUPROFEN TABLET [ACME LABS]"
+      const [, name, manufacturer = ''] = title.match(/^(.*?)\s*(?:\[([^\]]+)\])?$/);
+      return { name, strength: '', form: '', manufacturer };
+    }
+  },
+  {
+    id: 'openfoodfacts',
+    label: 'OpenFoodFacts',
+    prefixes: [],
+    timeout: 5000,
+    async lookup(gtin14, fetchJSON) {
+      const data = await fetchJSON(`${CONFIG.API.OPEN_FOOD_FACTS}${gtin14.replace(/^0+/, '')}.json`, { timeout: this.timeout });
+      const p = data?.status === 1 && data.product;
+      if (!p?.product_name) return null;
+      return { name: p.product_name, strength: '', form: '', manufacturer: p.brands || '' };
+    }
   }
-  if (State.activeFilter !== 'all') filtered = filtered.filter(e => e.expiryStatus === State.activeFilter);
-  State.filteredHistory = filtered;
-  renderHistory();
-}
+];
+
+const readPath = (obj, path) => path ? path.split('.').reduce((o, k) => o?.[k], obj) : obj;
+
+// Any JSON endpoint: def.url has {gtin14}, {gtin13} or {gtin12} in it,
+// def.resultPath points at the product (first one if it's a list) and
+// def.fields maps name/strength/form/manufacturer to dotted paths inside it
+function customProvider(def) {
+  return {
+    ...def,
+    custom: true,
+    async lookup(gtin14, fetchJSON) {
+      const ids = { gtin14, gtin13: gtin14.slice(1), gtin12: gtin14.slice(2) };
+      const url = def.url.replace(/\{(gtin1[234])\}/g, (_, k) => ids[k]);
+      const data = await fetchJSON(url, { headers: def.auth ? { Authorization: def.auth } : undefined });
+      let item = readPath(data, def.resultPath);
+      if (Array.isArray(item)) item = item[0];
+      if (!item) return null;
+      const pick = field => def.fields[field] ? String(readPath(item, def.fields[field]) ?? '').trim() : '';
+      return { name: pick('name'), strength: pick('strength'), form: pick('form'), manufacturer: pick('manufacturer') };
+    }
+  };
+}
+
+// Every provider, custom ones included, in the configured order
+function lookupProviders() {
+  const all = [...LOOKUP_PROVIDERS, ...State.lookup.custom.map(customProvider)];
+  const rank = (p, i) => { const at = State.lookup.order.indexOf(p.id); return at === -1 ? State.lookup.order.length + i : at; };
+  return all.map((p, i) => [rank(p, i), p]).sort((a, b) => a[0] - b[0]).map(([, p]) => p);
+}
+
+function providersFor(gtin14) {
+  const gtin13 = gtin14.slice(1);
+  return lookupProviders().filter(p => !State.lookup.disabled.includes(p.id) && (!p.prefixes.length || p.prefixes.some(x => gtin13.startsWith(x))));
+}
+
+// Each URL carries #gtin= so sw.js can keep the answer for offline scans;
+// fragments never reach the server
+function jsonFetcher(fetchFn, gtin14) {
+  return async (url, { timeout = LOOKUP_TIMEOUT, headers } = {}) => {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeout);
+    try {
+      const res = await fetchFn(`${url}#gtin=${gtin14}`, { signal: ctrl.signal, headers });
+      // A refused key or a rate limit says nothing about the product
+      if (LOOKUP_REFUSED[res.status]) throw new Error(`${LOOKUP_REFUSED[res.status]} (HTTP ${res.status})`);
+      if (res.status >= 400 && res.status < 500) return null;
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      // The parser's own message quotes the reply, which is the remote's text
+      return await res.json().catch(() => { throw new Error('Reply is not JSON'); });
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+// "Panadol" + "500mg" + "TABLET" → "Panadol 500mg TABLET", skipping parts the name already has
+function productDisplayName({ name, strength, form }) {
+  let label = name.trim();
+  [strength, form].forEach(part => { if (part && !label.toLowerCase().includes(part.toLowerCase())) label += ` ${part}`; });
+  return label.trim();
+}
+
+// → { name, strength, form, manufacturer, displayName, source }, null when no
+// source knows the GTIN, or { unreachable: true, error } when one that might
+// couldn't be reached or refused us, so the lookup is worth retrying.
+// fetch and providers can be swapped in, e.g. a mock fetch or a single source.
+async function lookupProductAPI(gtin14, { fetch: fetchFn = fetch, providers = providersFor(gtin14) } = {}) {
+  if (!State.apiLookupEnabled) return null;
+  if (!navigator.onLine && !navigator.serviceWorker?.controller) return { unreachable: true };
+  const fetchJSON = jsonFetcher(fetchFn, gtin14);
+  const errors = [];
+  
+  for (const provider of providers) {
+    try {
+      const found = await provider.lookup(gtin14, fetchJSON);
+      if (found?.name) return { ...found, displayName: productDisplayName(found), source: provider.label };
+    } catch (err) {
+      errors.push(`${provider.label}: ${err.name === 'AbortError' ? 'no answer' : err.message}`);
+    }
+  }
+  return errors.length ? { unreachable: true, error: errors.join('; ') } : null;
+}
+
+async function saveLookupSettings() {
+  await DB.put('settings', { key: 'lookupProviders', value: State.lookup });
+}
+
+function openLookupProviders() {
+  const providers = lookupProviders();
+  const body = openSheet('Lookup Sources', `
+    <p class="empty-text">Tried top to bottom until one knows the product. Prefixes are the first digits of the GTIN-13: 629 UAE, 50 UK, 03 US drugs.</p>
+    ${providers.map((p, i) => `
+      <div class="history-item provider-item" data-id="${escapeHtml(p.id)}">
+        <label class="item-info">
+          <div class="item-name"><input type="checkbox" class="provider-on"${State.lookup.disabled.includes(p.id) ? '' : ' checked'}> ${escapeHtml(p.label)}</div>
+          <div class="item-details">${p.prefixes.length ? p.prefixes.map(escapeHtml).join(', ') : 'Any prefix'}${p.custom ? ' • custom' : ''}</div>
+        </label>
+        <button class="btn btn-secondary" data-action="up"${i ? '' : ' disabled'}>↑</button>
+        <button class="btn btn-secondary" data-action="down"${i < providers.length - 1 ? '' : ' disabled'}>↓</button>
+        ${p.custom ? '<button class="btn btn-secondary" data-action="edit">Edit</button>' : ''}
+      </div>`).join('')}
+  `, [
+    { label: 'Add Endpoint', primary: true, onClick: () => openCustomProvider() }
+  ]);
+  
+  // Changes apply straight away
+  const ids = providers.map(p => p.id);
+  body.querySelectorAll('.provider-item').forEach(row => {
+    const id = row.dataset.id;
+    row.querySelector('.provider-on').addEventListener('change', async e => {
+      State.lookup.disabled = State.lookup.disabled.filter(d => d !== id);
+      if (!e.target.checked) State.lookup.disabled.push(id);
+      await saveLookupSettings();
+    });
+    row.querySelectorAll('button').forEach(btn => btn.addEventListener('click', async () => {
+      if (btn.dataset.action === 'edit') { openCustomProvider(State.lookup.custom.find(c => c.id === id)); return; }
+      const at = ids.indexOf(id), to = btn.dataset.action === 'up' ? at - 1 : at + 1;
+      [ids[at], ids[to]] = [ids[to], ids[at]];
+      State.lookup.order = ids;
+      await saveLookupSettings();
+      openLookupProviders();
+    }));
+  });
+}
+
+function openCustomProvider(def = null) {
+  const f = def?.fields || {};
+  const body = openSheet(def ? 'Edit Endpoint' : 'Add Endpoint', `
+    <label class="form-label">Name<input class="form-input cp-label" value="${escapeHtml(def?.label || '')}" placeholder="e.g. Local formulary"></label>
+    <label class="form-label">URL<input class="form-input cp-url" type="url" value="${escapeHtml(def?.url || '')}" placeholder="https://formulary.local/api/products/{gtin14}"></label>
+    <p class="empty-text">Use {gtin14}, {gtin13} or {gtin12} where the barcode goes.</p>
+    <label class="form-label">GTIN prefixes<input class="form-input cp-prefixes" value="${escapeHtml((def?.prefixes || []).join(', '))}" placeholder="629, 50 — blank for any"></label>
+    <label class="form-label">Authorization header<input class="form-input cp-auth" type="password" autocomplete="off" value="${escapeHtml(def?.auth || '')}" placeholder="Optional, e.g. Bearer …"></label>
+    <label class="form-label">Product path<input class="form-input cp-path" value="${escapeHtml(def?.resultPath || '')}" placeholder="e.g. data.items — blank if the reply is the product"></label>
+    <label class="form-label">Name field<input class="form-input cp-field" data-field="name" value="${escapeHtml(f.name || '')}" placeholder="e.g. product_name"></label>
+    <label class="form-label">Strength field<input class="form-input cp-field" data-field="strength" value="${escapeHtml(f.strength || '')}"></label>
+    <label class="form-label">Form field<input class="form-input cp-field" data-field="form" value="${escapeHtml(f.form || '')}"></label>
+    <label class="form-label">Manufacturer field<input class="form-input cp-field" data-field="manufacturer" value="${escapeHtml(f.manufacturer || '')}"></label>
+    <label class="form-label">Test GTIN<input class="form-input cp-test" inputmode="numeric"></label>
+  `, [
+    ...(def ? [{ label: 'Delete', onClick: async () => {
+      State.lookup.custom = State.lookup.custom.filter(c => c.id !== def.id);
+      State.lookup.order = State.lookup.order.filter(id => id !== def.id);
+      await saveLookupSettings();
+      openLookupProviders();
+    } }] : []),
+    { label: 'Test', onClick: async () => {
+      const provider = readForm();
+      const gtin14 = normalizeGtin(body.querySelector('.cp-test').value);
+      if (!provider) return;
+      if (!gtin14) { showToast('Enter a GTIN to test', 'warning'); return; }
+      const res = await lookupProductAPI(gtin14, { providers: [customProvider(provider)] });
+      if (res?.name) showToast(`${res.displayName}${res.manufacturer ? ` • ${res.manufacturer}` : ''}`, 'success');
+      else showToast(res?.unreachable ? res.error || 'No answer from endpoint' : 'Not found', res?.unreachable ? 'error' : 'warning');
+    } },
+    { label: 'Save', primary: true, onClick: async () => {
+      const provider = readForm();
+      if (!provider) return;
+      State.lookup.custom = [...State.lookup.custom.filter(c => c.id !== provider.id), provider];
+      // New endpoints go first; a local source usually knows our stock best
+      if (!def) State.lookup.order = [provider.id, ...lookupProviders().map(p => p.id).filter(id => id !== provider.id)];
+      await saveLookupSettings();
+      showToast('Lookup source saved', 'success');
+      openLookupProviders();
+    } }
+  ]);
+  
+  function readForm() {
+    const label = body.querySelector('.cp-label').value.trim();
+    const url = body.querySelector('.cp-url').value.trim();
+    const prefixes = body.querySelector('.cp-prefixes').value.split(/[\s,]+/).filter(Boolean);
+    const fields = Object.fromEntries([...body.querySelectorAll('.cp-field')].map(i => [i.dataset.field, i.value.trim()]));
+    if (!label) { showToast('Enter a name', 'warning'); return null; }
+    if (!/^https?:\/\/.*\{gtin1[234]\}/.test(url)) { showToast('URL needs {gtin14}, {gtin13} or {gtin12}', 'warning'); return null; }
+    if (prefixes.some(p => !/^\d{1,12}$/.test(p))) { showToast('Prefixes are digits only', 'warning'); return null; }
+    if (!fields.name) { showToast('Enter the name field', 'warning'); return null; }
+    return { id: def?.id || `custom-${Date.now().toString(36)}`, label, url, prefixes, auth: body.querySelector('.cp-auth').value.trim(), resultPath: body.querySelector('.cp-path').value.trim(), fields };
+  }
+}
+
+// Lookup Queue
+// GTINs whose lookup couldn't reach any API are retried in the background with
+// backoff while online. A found name goes onto every scan of that GTIN still
+// marked unknown, and stays listed here as an offer for the master list.
+const LOOKUP_RETRY_BASE = 60 * 1000;
+const LOOKUP_RETRY_MAX_DELAY = 6 * 60 * 60 * 1000;
+const LOOKUP_RETRY_LIMIT = 10;
+const LOOKUP_STATES = { pending: 'Waiting', resolved: 'Found', notfound: 'Not found', failed: 'Gave up' };
+
+const LookupQueue = {
+  timer: null,
+  running: false,
+  
+  async add(gtin14) {
+    const existing = await DB.get('lookupQueue', gtin14);
+    if (existing?.status === 'pending') return;
+    // Already found on an earlier retry: name the new scan straight away
+    if (existing?.status === 'resolved') { await this.applyName(existing); await loadHistory(); return; }
+    await DB.put('lookupQueue', { gtin14, status: 'pending', attempts: 0, queuedAt: new Date().toISOString(), nextTry: Date.now() });
+    this.schedule();
+  },
+  
+  applyName(item) {
+    return backfillHistory(item.gtin14, { name: item.name, unknown: false, matchType: 'api' }, isUnknownEntry);
+  },
+  
+  // Wakes up for the earliest due retry; the online listener covers the rest
+  async schedule() {
+    clearTimeout(this.timer);
+    const pending = (await DB.getAll('lookupQueue')).filter(r => r.status === 'pending');
+    if (!pending.length || !navigator.onLine) return;
+    const due = Math.min(...pending.map(r => r.nextTry));
+    this.timer = setTimeout(() => this.run(), Math.min(Math.max(0, due - Date.now()), LOOKUP_RETRY_MAX_DELAY));
+  },
+  
+  async run({ force = false } = {}) {
+    if (this.running || !navigator.onLine || !State.apiLookupEnabled) return;
+    this.running = true;
+    let found = 0;
+    try {
+      const due = (await DB.getAll('lookupQueue')).filter(r => r.status === 'pending' && (force || r.nextTry <= Date.now()));
+      for (const item of due) {
+        // Named by hand in the meantime
+        if (State.masterData.has(item.gtin14)) { await DB.delete('lookupQueue', item.gtin14); continue; }
+        const api = await lookupProductAPI(item.gtin14);
+        item.attempts++;
+        item.lastTry = new Date().toISOString();
+        item.error = api?.error;
+        if (api?.name) {
+          Object.assign(item, { status: 'resolved', name: api.displayName, manufacturer: api.manufacturer, source: api.source });
+          await this.applyName(item);
+          found++;
+        } else if (api?.unreachable) {
+          item.nextTry = Date.now() + Math.min(LOOKUP_RETRY_BASE * 2 ** (item.attempts - 1), LOOKUP_RETRY_MAX_DELAY);
+          if (item.attempts >= LOOKUP_RETRY_LIMIT) item.status = 'failed';
+        } else {
+          item.status = 'notfound';
+        }
+        await DB.put('lookupQueue', item);
+      }
+    } catch (err) {
+      console.error('Lookup retry failed:', err);
+    } finally {
+      this.running = false;
+    }
+    if (found) {
+      await loadHistory();
+      showToast(`${found} product${found === 1 ? '' : 's'} named by lookup`, 'success');
+    }
+    this.schedule();
+  }
+};
+
+async function openLookupQueue() {
+  // Found products that made it into master since need no offer
+  const all = await DB.getAll('lookupQueue');
+  const done = all.filter(r => r.status === 'resolved' && State.masterData.has(r.gtin14));
+  if (done.length) await DB.bulk('lookupQueue', { remove: done.map(r => r.gtin14) });
+  const items = all.filter(r => !done.includes(r)).sort((a, b) => b.queuedAt.localeCompare(a.queuedAt));
+  
+  const body = openSheet('Lookup Queue', `
+    <p class="empty-text">${navigator.onLine ? 'Waiting lookups retry in the background' : 'Offline — lookups retry when back online'}</p>
+    ${items.map(it => `
+      <div class="history-item lookup-item" data-gtin="${it.gtin14}">
+        <div class="item-info">
+          <div class="item-name">${escapeHtml(it.name || it.gtin14)}</div>
+          <div class="item-details">${it.name ? `${it.gtin14} • ` : ''}${LOOKUP_STATES[it.status]}${it.source ? ` via ${escapeHtml(it.source)}` : ''}${it.manufacturer ? ` • ${escapeHtml(it.manufacturer)}` : ''} • ${it.attempts} attempt${it.attempts === 1 ? '' : 's'}${it.status === 'pending' && it.attempts ? ` • next ${new Date(it.nextTry).toLocaleTimeString()}` : ''}${it.error ? ` • ${escapeHtml(it.error)}` : ''}</div>
+        </div>
+        ${it.status === 'resolved' ? '<button class="btn btn-primary" data-action="master">Add to Master</button>' : ''}
+        ${it.status === 'failed' || it.status === 'notfound' ? '<button class="btn btn-secondary" data-action="retry">Retry</button>' : ''}
+        <button class="btn btn-secondary" data-action="remove">Remove</button>
+      </div>`).join('') || '<p class="empty-text">Nothing queued</p>'}
+  `, [
+    { label: 'Retry Now', primary: true, onClick: async () => {
+      if (!navigator.onLine) { showToast('Offline — lookups retry when back online', 'info'); return; }
+      const failed = items.filter(r => r.status === 'failed').map(r => ({ ...r, status: 'pending' }));
+      if (failed.length) await DB.bulk('lookupQueue', { put: failed });
+      await LookupQueue.run({ force: true });
+      openLookupQueue();
+    } }
+  ]);
+  
+  body.querySelectorAll('.lookup-item button').forEach(btn => btn.addEventListener('click', async () => {
+    const item = items.find(r => r.gtin14 === btn.closest('.lookup-item').dataset.gtin);
+    if (btn.dataset.action === 'master') openQuickAdd(item.gtin14, () => setTimeout(openLookupQueue), { name: item.name });
+    else if (btn.dataset.action === 'retry') {
+      await DB.put('lookupQueue', { ...item, status: 'pending', attempts: 0, nextTry: Date.now() });
+      await LookupQueue.run({ force: true });
+      openLookupQueue();
+    } else {
+      await DB.delete('lookupQueue', item.gtin14);
+      openLookupQueue();
+    }
+  }));
+}
+
+// History
+async function loadHistory() {
+  try {
+    State.history = await DB.getAll('history');
+    State.history.sort((a, b) => new Date(b.scanTime) - new Date(a.scanTime));
+    State.history.forEach(refreshExpiryStatus);
+    filterHistory();
+    renderRecentScans();
+    updateStats();
+    if (State.currentPage === 'dashboard') renderDashboard();
+  } catch (err) { console.error('Load history failed:', err); }
+}
+
+// Returns the saved entry, or null if nothing was counted
+async function addToHistory(entry) {
+  try {
+    const serial = entry.serials?.[0]?.serial;
+    if (serial) {
+      const dup = await findCountedPack(entry.gtin14, serial, entry.sessionId);
+      if (dup) {
+        const where = formatLocation(dup.location);
+        showToast(`Already counted${where ? ` at ${where}` : ''} — serial ${serial}`, 'warning');
+        Haptic.error();
+        return null;
+      }
+    }
+    
+    const existing = await findMergeTarget(entry);
+    let saved;
+    if (existing) {
+      const before = structuredClone(existing);
+      existing.qty = (existing.qty || 1) + (entry.qty || 1);
+      existing.scanTime = entry.scanTime;
+      if (serial) {
+        existing.serials = [...entrySerials(existing), ...entry.serials];
+        existing.serialKeys = existing.serials.map(p => serialKey(existing.gtin14, p.serial));
+      }
+      await DB.put('history', Sync.touch(existing));
+      await Audit.log('scan', { target: existing.id, before, after: existing });
+      showToast(`Updated qty: ${existing.qty}`, 'success');
+      saved = existing;
+    } else {
+      entry.id = await DB.put('history', Sync.touch(entry));
+      await Audit.log('scan', { target: entry.id, after: entry });
+      showToast('Added', 'success');
+      saved = entry;
+    }
+    await Sync.queue('history', 'put', [saved]);
+    await loadHistory();
+    Haptic.success();
+    return saved;
+  } catch (err) {
+    console.error('Add failed:', err);
+    showToast('Failed to save', 'error');
+    Haptic.error();
+    return null;
+  }
+}
+
+// Serialised packs
+// GTIN+serial identifies one physical pack. Batch aggregates keep the list of
+// packs with a local FMD/DSCSA-style status per pack.
+const PACK_STATUSES = {
+  active: 'Active',
+  verified: 'Verified',
+  supplied: 'Supplied',
+  destroyed: 'Destroyed',
+  stolen: 'Stolen',
+  sample: 'Sample',
+  exported: 'Exported',
+  locked: 'Locked'
+};
+
+function serialKey(gtin14, serial) {
+  return `${gtin14}|${serial}`;
+}
+
+function entrySerials(e) {
+  return e.serials || (e.serial ? [{ serial: e.serial, status: 'active', scanTime: e.scanTime }] : []);
+}
+
+// The same pack counts once per session (or once outside any session)
+async function findCountedPack(gtin14, serial, sessionId) {
+  const hits = await DB.getAllByIndex('history', 'serialKeys', serialKey(gtin14, serial));
+  return hits.find(e => (e.sessionId ?? null) === (sessionId ?? null)) || null;
+}
+
+// Same GTIN+batch counted in the same session and location
+// Lines synced from other devices are theirs to count; see Sync
+async function findMergeTarget(entry) {
+  const same = await DB.getAllByIndex('history', 'gtinBatch', [entry.gtin14, entry.batch || '']);
+  return same.find(e => (e.sessionId ?? null) === (entry.sessionId ?? null) && locationKey(e.location) === locationKey(entry.location) && isOwnLine(e));
+}
+
+// Lines without an origin predate sync and belong to this device
+function isOwnLine(e) {
+  return (e.origin || State.sync.deviceId) === State.sync.deviceId;
+}
+
+async function updateHistoryEntry(entry) {
+  try {
+    const before = await DB.get('history', entry.id);
+    await DB.put('history', Sync.touch(entry));
+    await Audit.log('edit', { target: entry.id, before, after: { ...entry } });
+    await Sync.queue('history', 'put', [entry]);
+    await loadHistory();
+    showToast('Updated', 'success');
+  } catch (err) { showToast('Update failed', 'error'); }
+}
+
+// Lines counted on another device are only deleted there when asked for
+async function deleteHistoryEntry(id, { everywhere = false } = {}) {
+  try {
+    const before = await DB.get('history', id);
+    await DB.delete('history', id);
+    await Audit.log('delete', { target: id, before });
+    if (everywhere || isOwnLine(before)) await Sync.queue('history', 'delete', [before]);
+    await loadHistory();
+    showToast('Deleted', 'success');
+  } catch (err) { showToast('Delete failed', 'error'); }
+}
+
+// Local by default: other devices keep their copies. everywhere also deletes
+// the lines this device counted from every synced device, never anyone else's.
+async function clearHistory({ everywhere = false } = {}) {
+  try {
+    const before = await DB.getAll('history');
+    await DB.clear('history');
+    await Audit.log('clear', { before, after: { entries: before.length, everywhere } });
+    if (everywhere) await Sync.queue('history', 'delete', before.filter(isOwnLine));
+    await loadHistory();
+    showToast('Cleared', 'success');
+  } catch (err) { showToast('Clear failed', 'error'); }
+}
+
+function confirmClearHistory() {
+  if (!State.sync.enabled) { showConfirm('Clear All', 'Delete all scan history?', () => clearHistory()); return; }
+  const own = State.history.filter(isOwnLine).length;
+  openSheet('Clear History', `
+    <p>Clearing this device leaves other devices' copies alone.</p>
+    <p class="empty-text">${own} of ${State.history.length} lines were counted on this device.</p>
+  `, [
+    { label: 'This Device Only', primary: true, onClick: () => { closeSheet(); clearHistory(); } },
+    { label: 'Also Delete My Lines Everywhere', onClick: () => {
+      closeSheet();
+      showConfirm('Delete Everywhere', `Delete the ${own} lines counted on this device from every synced device? This can't be undone.`, () => clearHistory({ everywhere: true }));
+    } }
+  ]);
+}
+
+function filterHistory() {
+  let filtered = [...State.history];
+  if (State.searchQuery) {
+    const q = State.searchQuery.toLowerCase();
+    filtered = filtered.filter(e => 
+      (e.name?.toLowerCase().includes(q)) || (e.gtin14?.includes(q)) || (e.batch?.toLowerCase().includes(q))
+    );
+  }
+  if (State.activeFilter !== 'all') filtered = filtered.filter(e => e.expiryStatus === State.activeFilter);
+  if (State.idFilter) filtered = filtered.filter(e => State.idFilter.has(e.id));
+  State.filteredHistory = filtered;
+  renderHistory();
+}
 
 // Scanner
 async function startScanner() {
@@ -452,245 +1756,2846 @@ function stopScanner() {
   btnText.textContent = 'Start Scanner';
 }
 
-async function onScanSuccess(code) {
-  const now = Date.now();
-  if (code === State.lastScan.code && now - State.lastScan.time < CONFIG.DEBOUNCE_MS) return;
-  State.lastScan = { code, time: now };
-  Haptic.medium();
-  await processScan(code);
+async function onScanSuccess(code) {
+  if (State.recallHold) return;
+  const now = Date.now();
+  if (code === State.lastScan.code && now - State.lastScan.time < CONFIG.DEBOUNCE_MS) return;
+  State.lastScan = { code, time: now };
+  Haptic.medium();
+  await processScan(code);
+}
+
+async function processScan(code) {
+  const match = await resolveOrPick(code);
+  if (!match) return;
+  const { parsed } = match;
+  if (!parsed.valid) {
+    showToast(parsed.errors[0]?.message || 'Invalid barcode', 'error');
+    Haptic.error();
+    return;
+  }
+  if (State.pickMode) { openPickResult(parsed, match.product); return; }
+  
+  let name = match.product?.name || '';
+  let queued = false;
+  
+  if (!name && State.apiLookupEnabled) {
+    showToast('Looking up...', 'info');
+    const api = await lookupProductAPI(parsed.gtin14);
+    if (api?.name) name = api.displayName;
+    else if (api?.unreachable) { queued = true; showToast('Lookup unavailable — will retry', 'info'); }
+  }
+  
+  const entry = createEntry(parsed, name, match.matchType, code);
+  const saved = await addToHistory(entry);
+  if (saved && queued) await LookupQueue.add(entry.gtin14);
+  const recall = findRecall(entry.gtin14, entry.batch);
+  if (recall) await alertRecall(entry, recall);
+  else if (saved && entry.unknown) openQuickAdd(entry.gtin14);
+}
+
+function createEntry(parsed, name, matchType, raw) {
+  return refreshExpiryStatus({
+    gtin14: parsed.gtin14,
+    gtin13: parsed.gtin13,
+    name: name || `Unknown (${parsed.gtin14.slice(-8)})`,
+    unknown: !name,
+    expiry: parsed.expiry,
+    expiryFormatted: parsed.expiryFormatted,
+    expiryStatus: parsed.expiryStatus,
+    prodDate: parsed.prodDate,
+    packDate: parsed.packDate,
+    bestBefore: parsed.bestBefore,
+    batch: parsed.batch,
+    serials: parsed.serial ? [{ serial: parsed.serial, status: 'active', scanTime: new Date().toISOString() }] : [],
+    serialKeys: parsed.serial ? [serialKey(parsed.gtin14, parsed.serial)] : [],
+    qty: parsed.serial ? 1 : parsed.qty || 1,
+    matchType,
+    sessionId: State.activeSession?.id ?? null,
+    location: Object.values(State.location).some(Boolean) ? { ...State.location } : null,
+    scanTime: new Date().toISOString(),
+    raw
+  });
+}
+
+// Users & Permissions
+// Each user has a salted PBKDF2 hash of a 4-digit PIN; an unlocked session lasts CONFIG.PIN_TIMEOUT.
+const ROLES = { scanner: 'Scanner', supervisor: 'Supervisor', admin: 'Admin' };
+const ROLE_RANK = { scanner: 1, supervisor: 2, admin: 3 };
+// Minimum role per gated action
+const PERMISSIONS = {
+  editEntry: 'scanner',
+  deleteEntry: 'supervisor',
+  viewAudit: 'supervisor',
+  clearAll: 'admin',
+  masterImport: 'supervisor',
+  approveProducts: 'supervisor',
+  settings: 'admin',
+  manageUsers: 'admin',
+  backup: 'admin'
+};
+
+function can(user, action) {
+  return !!user && ROLE_RANK[user.role] >= ROLE_RANK[PERMISSIONS[action]];
+}
+
+// Chunked so large buffers (backups) stay under the argument limit
+const toBase64 = buf => {
+  const bytes = new Uint8Array(buf);
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+};
+const fromBase64 = str => Uint8Array.from(atob(str), c => c.charCodeAt(0));
+
+async function hashPin(pin, salt, iterations = CONFIG.PIN_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, key, 256);
+  return toBase64(bits);
+}
+
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+async function loadUsers() {
+  State.users = await DB.getAll('users');
+  State.users.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function saveUser(user, pin) {
+  if (pin) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    user.salt = toBase64(salt);
+    user.iterations = CONFIG.PIN_ITERATIONS;
+    user.hash = await hashPin(pin, salt);
+    user.failedAttempts = 0;
+    user.lockedUntil = 0;
+  }
+  user.id = await DB.put('users', { createdAt: new Date().toISOString(), ...user });
+  await Audit.log('user', { target: user.id, after: { name: user.name, role: user.role, pinChanged: !!pin } });
+  await loadUsers();
+  return user;
+}
+
+async function deleteUser(id) {
+  const user = State.users.find(u => u.id === id);
+  await DB.delete('users', id);
+  await Audit.log('user', { target: id, before: user ? { name: user.name, role: user.role } : null });
+  await loadUsers();
+}
+
+// → { ok } or { ok: false, reason, lockedFor }
+async function checkUserPin(user, pin) {
+  if (user.lockedUntil > Date.now()) return { ok: false, reason: 'locked', lockedFor: user.lockedUntil - Date.now() };
+  const hash = await hashPin(pin, fromBase64(user.salt), user.iterations);
+  if (safeEqual(hash, user.hash)) {
+    if (user.failedAttempts) { user.failedAttempts = 0; user.lockedUntil = 0; await DB.put('users', user); }
+    return { ok: true };
+  }
+  user.failedAttempts = (user.failedAttempts || 0) + 1;
+  if (user.failedAttempts >= CONFIG.PIN_MAX_ATTEMPTS) {
+    user.failedAttempts = 0;
+    user.lockedUntil = Date.now() + CONFIG.PIN_LOCKOUT;
+  }
+  await DB.put('users', user);
+  const lockedFor = Math.max(0, user.lockedUntil - Date.now());
+  return { ok: false, reason: lockedFor ? 'locked' : 'wrong', lockedFor, left: CONFIG.PIN_MAX_ATTEMPTS - user.failedAttempts };
+}
+
+// Timers stall in background tabs, so validity is also checked on every use
+function isPinValid() {
+  if (State.currentUser && Date.now() - State.lastPinSuccess >= CONFIG.PIN_TIMEOUT) endPinSession();
+  return !!State.currentUser;
+}
+
+// The signed-in user, or null once the PIN session has timed out
+function activeUser() {
+  return isPinValid() ? State.currentUser : null;
+}
+
+function startPinSession(user) {
+  State.currentUser = user;
+  State.lastPinSuccess = Date.now();
+  clearTimeout(State.pinTimer);
+  State.pinTimer = setTimeout(endPinSession, CONFIG.PIN_TIMEOUT);
+}
+
+// Nothing done after this is attributed to the last user
+function endPinSession() {
+  clearTimeout(State.pinTimer);
+  State.currentUser = null;
+  State.lastPinSuccess = 0;
+}
+
+function signOut() {
+  endPinSession();
+  showToast('Locked', 'info');
+}
+
+// Runs callback once a user with permission for action has unlocked
+function requirePermission(action, callback) {
+  if (!State.users.length) { openUserSetup(() => requirePermission(action, callback)); return; }
+  if (isPinValid() && can(State.currentUser, action)) { callback(); return; }
+  State.pinCallback = callback;
+  State.pinAction = action;
+  State.pinInput = '';
+  updatePinDots();
+  const select = ensurePinUserSelect();
+  select.innerHTML = State.users.map(u => `<option value="${u.id}">${escapeHtml(u.name)} (${ROLES[u.role]})</option>`).join('');
+  const preferred = State.users.find(u => u.id === State.currentUser?.id && can(u, action)) || State.users.find(u => can(u, action));
+  if (preferred) select.value = preferred.id;
+  document.getElementById('pinError').classList.remove('show');
+  document.getElementById('pinModal').classList.add('show');
+}
+
+function ensurePinUserSelect() {
+  let select = document.getElementById('pinUser');
+  if (select) return select;
+  select = document.createElement('select');
+  select.id = 'pinUser';
+  select.className = 'form-input pin-user';
+  const dots = document.querySelector('#pinModal .pin-dot')?.parentElement;
+  if (dots) dots.before(select);
+  else document.getElementById('pinModal').firstElementChild.prepend(select);
+  select.addEventListener('change', () => { State.pinInput = ''; updatePinDots(); });
+  return select;
+}
+
+function onPinKey(key) {
+  if (State.pinChecking) return;
+  if (key === 'back') State.pinInput = State.pinInput.slice(0, -1);
+  else if (key && State.pinInput.length < 4) State.pinInput += key;
+  updatePinDots();
+  Haptic.light();
+  if (State.pinInput.length === 4) verifyPin();
+}
+
+function updatePinDots() {
+  document.querySelectorAll('.pin-dot').forEach((d, i) => d.classList.toggle('filled', i < State.pinInput.length));
+}
+
+function showPinError(msg) {
+  const el = document.getElementById('pinError');
+  el.textContent = msg;
+  el.classList.add('show');
+  State.pinInput = '';
+  updatePinDots();
+  Haptic.error();
+}
+
+async function verifyPin() {
+  const user = State.users.find(u => u.id === parseInt(document.getElementById('pinUser').value, 10));
+  if (!user) { showPinError('Select a user'); return; }
+  State.pinChecking = true;
+  let result;
+  try { result = await checkUserPin(user, State.pinInput); }
+  finally { State.pinChecking = false; }
+  
+  if (!result.ok) {
+    if (result.reason === 'locked') showPinError(`Too many attempts — try again in ${Math.ceil(result.lockedFor / 60000)} min`);
+    else showPinError(`Wrong PIN — ${result.left} attempt${result.left === 1 ? '' : 's'} left`);
+    return;
+  }
+  if (!can(user, State.pinAction)) { showPinError(`${ROLES[user.role]} can't do this`); return; }
+  
+  startPinSession(user);
+  document.getElementById('pinModal').classList.remove('show');
+  Haptic.success();
+  if (State.pinCallback) { const cb = State.pinCallback; State.pinCallback = null; cb(); }
+}
+
+function pinFieldsHTML() {
+  return `
+    <label class="form-label">PIN (4 digits)<input class="form-input user-pin" type="password" inputmode="numeric" maxlength="4" autocomplete="off"></label>
+    <label class="form-label">Confirm PIN<input class="form-input user-pin2" type="password" inputmode="numeric" maxlength="4" autocomplete="off"></label>
+  `;
+}
+
+function readPinFields(body) {
+  const pin = body.querySelector('.user-pin').value, pin2 = body.querySelector('.user-pin2').value;
+  if (!/^\d{4}$/.test(pin)) { showToast('PIN must be 4 digits', 'warning'); return null; }
+  if (pin !== pin2) { showToast('PINs do not match', 'warning'); return null; }
+  return pin;
+}
+
+// First run: there are no users, so the first account is an admin
+function openUserSetup(then) {
+  const body = openSheet('Create Admin', `
+    <p>No users yet. Create the first administrator account.</p>
+    <label class="form-label">Name<input class="form-input user-name" autocomplete="off"></label>
+    ${pinFieldsHTML()}
+  `, [
+    { label: 'Create', primary: true, onClick: async () => {
+      const name = body.querySelector('.user-name').value.trim();
+      if (!name) { showToast('Enter a name', 'warning'); return; }
+      const pin = readPinFields(body);
+      if (!pin) return;
+      const user = await saveUser({ name, role: 'admin' }, pin);
+      startPinSession(user);
+      closeSheet();
+      showToast(`Welcome, ${name}`, 'success');
+      if (then) then();
+    } }
+  ]);
+}
+
+function openUserAdmin() {
+  const admins = State.users.filter(u => u.role === 'admin');
+  const body = openSheet('Users', `
+    <div class="user-list">
+      ${State.users.map(u => `
+        <div class="history-item user-item" data-id="${u.id}">
+          <div class="item-info">
+            <div class="item-name">${escapeHtml(u.name)}</div>
+            <div class="item-details">${ROLES[u.role]}${u.lockedUntil > Date.now() ? ' • Locked' : ''}</div>
+          </div>
+          ${u.lockedUntil > Date.now() ? '<button class="btn btn-secondary" data-action="unlock">Unlock</button>' : ''}
+          <button class="btn btn-secondary" data-action="pin">Reset PIN</button>
+          ${u.id !== State.currentUser?.id && !(u.role === 'admin' && admins.length === 1) ? '<button class="btn btn-secondary" data-action="delete">Remove</button>' : ''}
+        </div>`).join('')}
+    </div>
+    <h4>Add user</h4>
+    <label class="form-label">Name<input class="form-input user-name" autocomplete="off"></label>
+    <label class="form-label">Role<select class="form-input user-role">${Object.entries(ROLES).map(([r, label]) => `<option value="${r}">${label}</option>`).join('')}</select></label>
+    ${pinFieldsHTML()}
+  `, [
+    { label: 'Add User', primary: true, onClick: async () => {
+      const name = body.querySelector('.user-name').value.trim();
+      if (!name) { showToast('Enter a name', 'warning'); return; }
+      if (State.users.some(u => u.name.toLowerCase() === name.toLowerCase())) { showToast('Name already used', 'warning'); return; }
+      const pin = readPinFields(body);
+      if (!pin) return;
+      await saveUser({ name, role: body.querySelector('.user-role').value }, pin);
+      showToast('User added', 'success');
+      openUserAdmin();
+    } }
+  ]);
+  
+  // Rows share the history-item look; keep taps away from the history edit handler
+  body.querySelectorAll('.user-item').forEach(row => row.addEventListener('click', e => e.stopPropagation()));
+  body.querySelectorAll('.user-item button').forEach(btn => btn.addEventListener('click', e => {
+    e.stopPropagation();
+    const user = State.users.find(u => u.id === +btn.closest('.user-item').dataset.id);
+    const action = btn.dataset.action;
+    if (action === 'unlock') {
+      saveUser({ ...user, failedAttempts: 0, lockedUntil: 0 }).then(openUserAdmin);
+    } else if (action === 'delete') {
+      showConfirm('Remove User', `Remove ${user.name}?`, async () => { await deleteUser(user.id); openUserAdmin(); });
+    } else if (action === 'pin') {
+      const sheet = openSheet(`Reset PIN — ${user.name}`, pinFieldsHTML(), [
+        { label: 'Save', primary: true, onClick: async () => {
+          const pin = readPinFields(sheet);
+          if (!pin) return;
+          await saveUser({ ...user }, pin);
+          showToast('PIN updated', 'success');
+          openUserAdmin();
+        } }
+      ]);
+    }
+  }));
+}
+
+// Rendering
+function renderRecentScans() {
+  const container = document.getElementById('recentScans');
+  const empty = document.getElementById('emptyRecent');
+  const recent = State.history.slice(0, CONFIG.MAX_RECENT_SCANS);
+  
+  if (recent.length === 0) {
+    empty.style.display = 'block';
+    container.innerHTML = '';
+    container.appendChild(empty);
+    return;
+  }
+  
+  empty.style.display = 'none';
+  container.innerHTML = recent.map(item => createHistoryItemHTML(item)).join('');
+}
+
+function renderHistory() {
+  const container = document.getElementById('historyList');
+  const empty = document.getElementById('emptyHistory');
+  
+  if (State.filteredHistory.length === 0) {
+    empty.style.display = 'block';
+    container.innerHTML = '';
+    container.appendChild(empty);
+    return;
+  }
+  
+  empty.style.display = 'none';
+  container.innerHTML = State.filteredHistory.map(item => createHistoryItemHTML(item)).join('');
+}
+
+function createHistoryItemHTML(item) {
+  const status = item.expiryStatus || 'ok';
+  const style = statusStyle(status);
+  return `
+    <div class="history-item ${style} status-${status}" data-id="${item.id}">
+      <div class="item-icon">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z"/>
+        </svg>
+      </div>
+      <div class="item-info">
+        <div class="item-name">${escapeHtml(item.name || 'Unknown')}</div>
+        <div class="item-details">${formatEntryDate(item)}${item.batch ? ` • ${escapeHtml(item.batch)}` : ''}${item.location ? ` • ${escapeHtml(formatLocation(item.location))}` : ''}${item.serials?.length ? ` • ${item.serials.length} serial${item.serials.length === 1 ? '' : 's'}` : ''}</div>
+      </div>
+      ${findRecall(item.gtin14, item.batch) ? '<span class="item-badge badge-expired">Recalled</span>' : ''}
+      <span class="item-badge badge-${style}">${statusLabel(status)}</span>
+      <div class="item-qty">${item.qty || 1}</div>
+    </div>
+  `;
+}
+
+function formatEntryDate(item) {
+  const gov = getGoverningDate(item);
+  if (!gov) return 'No expiry';
+  const text = gov.field === 'expiry' && item.expiryFormatted ? item.expiryFormatted : formatDate(gov.iso);
+  return gov.field === 'expiry' ? text : `BB ${text}`;
+}
+
+function escapeHtml(str) {
+  if (!str) return '';
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function updateStats() {
+  const el = document.getElementById('historyCount');
+  if (el) el.textContent = State.history.length;
+}
+
+function updateMasterStats() {
+  const el = document.getElementById('masterCount');
+  if (el) el.textContent = State.masterData.size;
+}
+
+// Toast
+function showToast(msg, type = 'info') {
+  const container = document.getElementById('toastWrap');
+  const icons = {
+    success: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 6 9 17l-5-5"/></svg>',
+    error: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="m15 9-6 6M9 9l6 6"/></svg>',
+    warning: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="m21.73 18-8-14a2 2 0 0 0-3.48 0l-8 14A2 2 0 0 0 4 21h16a2 2 0 0 0 1.73-3Z"/></svg>',
+    info: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/></svg>'
+  };
+  
+  const toast = document.createElement('div');
+  toast.className = `toast ${type}`;
+  // Messages quote scanned and remote text, so they never go in as markup
+  toast.innerHTML = `<div class="toast-icon">${icons[type] || icons.info}</div><span class="toast-msg"></span>`;
+  toast.querySelector('.toast-msg').textContent = msg;
+  container.appendChild(toast);
+  
+  setTimeout(() => {
+    toast.style.opacity = '0';
+    setTimeout(() => toast.remove(), 300);
+  }, 3000);
+}
+
+// Export
+// One column list feeds CSV, XLSX and PDF. Dates leave as ISO yyyy-mm-dd
+// (real date cells in XLSX) so spreadsheets don't swap day and month.
+const EXPORT_COLUMNS = [
+  { key: 'gtin14', label: 'GTIN', get: e => e.gtin14 || '' },
+  { key: 'name', label: 'Name', get: e => e.name || '' },
+  { key: 'rms', label: 'RMS', get: e => State.masterData.get(e.gtin14)?.rms || '' },
+  { key: 'expiry', label: 'Expiry', type: 'date', get: e => e.expiry || '' },
+  { key: 'bestBefore', label: 'Best Before', type: 'date', get: e => e.bestBefore || '' },
+  { key: 'prodDate', label: 'Production Date', type: 'date', get: e => e.prodDate || '' },
+  { key: 'packDate', label: 'Pack Date', type: 'date', get: e => e.packDate || '' },
+  { key: 'governing', label: 'Governing Date', get: e => DATE_FIELDS[getGoverningDate(e)?.field] || '' },
+  { key: 'batch', label: 'Batch', get: e => e.batch || '' },
+  { key: 'serials', label: 'Serials', get: e => entrySerials(e).map(p => `${p.serial}:${p.status}`).join(' ') },
+  { key: 'qty', label: 'Qty', type: 'number', get: e => e.qty || 1 },
+  { key: 'status', label: 'Status', get: e => statusLabel(e.expiryStatus) },
+  { key: 'location', label: 'Location', get: e => formatLocation(e.location) },
+  { key: 'session', label: 'Session', get: e => State.sessions.find(s => s.id === e.sessionId)?.name || '' },
+  { key: 'matchType', label: 'Match', get: e => e.matchType || '' },
+  { key: 'raw', label: 'Raw Scan', get: e => (e.raw || '').replace(/\x1d/g, '<GS>') },
+  { key: 'scanTime', label: 'Scanned', get: e => e.scanTime || '' }
+];
+
+const EXPORT_FORMATS = {
+  csv: 'CSV',
+  xlsx: 'Excel workbook (XLSX)',
+  pdf: 'PDF expiry report',
+  json: 'JSON (re-import)',
+  epcis: 'GS1 EPCIS 2.0 events'
+};
+
+// Sheet and report order, most urgent first
+const STATUS_ORDER = ['expired', 'return', 'discount', 'expiring', 'ok', 'missing'];
+
+function exportColumns(keys) {
+  return keys ? EXPORT_COLUMNS.filter(c => keys.includes(c.key)) : EXPORT_COLUMNS;
+}
+
+function filterExportEntries(entries, { statuses = null, sessionId = null, from = '', to = '' }) {
+  return entries.filter(e =>
+    (!statuses || statuses.includes(e.expiryStatus || 'missing')) &&
+    (!sessionId || e.sessionId === sessionId) &&
+    (!from || (e.scanTime || '') >= from) &&
+    (!to || (e.scanTime || '').slice(0, 10) <= to)
+  );
+}
+
+function exportStamp() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function exportCSV(entries = State.history, columns = EXPORT_COLUMNS, name = 'pharmacy') {
+  if (entries.length === 0) { showToast('No data', 'warning'); return; }
+  const q = v => /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+  const rows = entries.map(e => columns.map(c => q(String(c.get(e)))));
+  const csv = [columns.map(c => c.label).join(','), ...rows.map(r => r.join(','))].join('\n');
+  downloadFile(csv, 'text/csv', `${name}-${exportStamp()}.csv`);
+  showToast('Exported', 'success');
+}
+
+// ZIP (stored, no compression) - enough for an XLSX package
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function zipStore(files) {
+  const enc = new TextEncoder();
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const locals = [], centrals = [];
+  let offset = 0;
+
+  files.forEach(f => {
+    const name = enc.encode(f.name);
+    const data = typeof f.data === 'string' ? enc.encode(f.data) : f.data;
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+    centrals.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const cdSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0));
+  let pos = 0;
+  parts.forEach(b => { out.set(b, pos); pos += b.length; });
+  return out;
+}
+
+// XLSX
+function xmlEscape(value) {
+  return String(value)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xlsxColumn(i) {
+  let s = '';
+  for (i++; i > 0; i = Math.floor((i - 1) / 26)) s = String.fromCharCode(65 + ((i - 1) % 26)) + s;
+  return s;
+}
+
+function excelDate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return (Date.UTC(y, m - 1, d) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+function xlsxSheet(entries, columns) {
+  const cell = (ref, value, col) => {
+    if (value === '' || value == null) return '';
+    if (col?.type === 'date') return `<c r="${ref}" s="1"><v>${excelDate(value)}</v></c>`;
+    if (col?.type === 'number') return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"${col ? '' : ' s="2"'}><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+  };
+  const header = `<row r="1">${columns.map((c, i) => cell(`${xlsxColumn(i)}1`, c.label)).join('')}</row>`;
+  const rows = entries.map((e, r) =>
+    `<row r="${r + 2}">${columns.map((c, i) => cell(`${xlsxColumn(i)}${r + 2}`, c.get(e), c)).join('')}</row>`
+  ).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${header}${rows}</sheetData>` +
+    `<autoFilter ref="A1:${xlsxColumn(columns.length - 1)}${entries.length + 1}"/>` +
+    '</worksheet>';
+}
+
+// One sheet per status; sheets is [{ name, entries }]
+function buildXLSX(sheets, columns) {
+  const ns = 'http://schemas.openxmlformats.org';
+  const files = [
+    { name: '[Content_Types].xml', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<Types xmlns="${ns}/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '</Types>' },
+    { name: '_rels/.rels', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<Relationships xmlns="${ns}/package/2006/relationships">` +
+      `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>' },
+    { name: 'xl/workbook.xml', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>` +
+      sheets.map((s, i) => `<sheet name="${xmlEscape(s.name.replace(/[\[\]:*?/\\]/g, ' ').slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+      '</sheets></workbook>' },
+    { name: 'xl/_rels/workbook.xml.rels', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<Relationships xmlns="${ns}/package/2006/relationships">` +
+      sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>' },
+    { name: 'xl/styles.xml', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<styleSheet xmlns="${ns}/spreadsheetml/2006/main">` +
+      '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>' },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xlsxSheet(s.entries, columns) }))
+  ];
+  return zipStore(files);
+}
+
+function exportXLSX(entries, columns) {
+  const sheets = STATUS_ORDER
+    .map(st => ({ name: st === 'missing' ? 'No date' : statusLabel(st), entries: entries.filter(e => (e.expiryStatus || 'missing') === st) }))
+    .filter(s => s.entries.length);
+  if (!sheets.length) { showToast('No data', 'warning'); return; }
+  downloadFile(buildXLSX(sheets, columns), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', `pharmacy-${exportStamp()}.xlsx`);
+  showToast('Exported', 'success');
+}
+
+// PDF
+// Plain PDF 1.4 with the built-in Helvetica fonts; text outside WinAnsi prints as '?'
+const WIN_ANSI = { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '›': 0x9B };
+
+function pdfString(value) {
+  const s = [...String(value)].map(ch => WIN_ANSI[ch] ? String.fromCharCode(WIN_ANSI[ch]) : /[\x20-\x7e\xa0-\xff]/.test(ch) ? ch : '?').join('');
+  return `(${s.replace(/[\\()]/g, '\\$&')})`;
+}
+
+function buildPDF(pageStreams, width, height) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageStreams.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pageStreams.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  pageStreams.forEach((stream, i) => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((obj, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  // Every character is Latin-1 by now, so one char is one byte
+  return Uint8Array.from(out, ch => ch.charCodeAt(0) & 0xFF);
+}
+
+// A4 landscape expiry report: pharmacy header, status totals, then lines grouped by status
+function expiryReportPDF(entries, columns, filterNote = '') {
+  const W = 842, H = 595, M = 36, size = 8, lineH = 12;
+  const fit = (text, width) => {
+    const max = Math.floor(width / (size * 0.5));
+    const s = String(text);
+    return s.length > max ? `${s.slice(0, Math.max(max - 1, 1))}…` : s;
+  };
+  const weights = columns.map(c => Math.min(Math.max(c.label.length, ...entries.slice(0, 200).map(e => String(c.get(e)).length)), 40) + 2);
+  const total = weights.reduce((a, b) => a + b, 0);
+  const widths = weights.map(w => (w / total) * (W - M * 2));
+
+  const pages = [];
+  let ops = [], y = 0;
+  const text = (x, yy, value, bold = false, fontSize = size) => ops.push(`BT /${bold ? 'F2' : 'F1'} ${fontSize} Tf ${x.toFixed(1)} ${yy.toFixed(1)} Td ${pdfString(value)} Tj ET`);
+  const rule = yy => ops.push(`0.75 G 0.5 w ${M} ${yy.toFixed(1)} m ${W - M} ${yy.toFixed(1)} l S 0 G`);
+  const row = (values, bold) => {
+    let x = M;
+    values.forEach((v, i) => { text(x, y, fit(v, widths[i] - 4), bold); x += widths[i]; });
+    y -= lineH;
+  };
+  const newPage = () => {
+    if (ops.length) pages.push(ops);
+    ops = [];
+    y = H - M;
+    const p = State.pharmacy;
+    text(M, y, p.name || 'Oasis Pharmacy', true, 14);
+    text(W - M - 200, y, `Expiry report • ${new Date().toLocaleString()}`, false, size);
+    y -= 16;
+    const details = [p.address, p.licence && `Licence ${p.licence}`, p.gln && `GLN ${p.gln}`].filter(Boolean).join(' • ');
+    if (details) { text(M, y, details); y -= lineH; }
+    if (filterNote) { text(M, y, filterNote); y -= lineH; }
+    rule(y + 4);
+    y -= 8;
+  };
+  const ensureRoom = lines => { if (y - lines * lineH < M + lineH) newPage(); };
+
+  newPage();
+  const sum = summarizeEntries(entries);
+  text(M, y, `${sum.entries} lines • ${sum.units} units • ${sum.atRiskUnits} units at risk${sum.valueAtRisk ? ` • value at risk ${formatMoney(sum.valueAtRisk)}` : ''}`, true);
+  y -= lineH * 1.5;
+
+  STATUS_ORDER.forEach(st => {
+    const group = entries.filter(e => (e.expiryStatus || 'missing') === st)
+      .sort((a, b) => (getGoverningDate(a)?.iso || '9999').localeCompare(getGoverningDate(b)?.iso || '9999'));
+    if (!group.length) return;
+    ensureRoom(4);
+    text(M, y, `${st === 'missing' ? 'No date' : statusLabel(st)} (${group.reduce((n, e) => n + (e.qty || 1), 0)} units)`, true, 10);
+    y -= lineH + 2;
+    row(columns.map(c => c.label), true);
+    rule(y + lineH - 3);
+    group.forEach(e => {
+      if (y < M + lineH) { newPage(); row(columns.map(c => c.label), true); rule(y + lineH - 3); }
+      row(columns.map(c => c.get(e)));
+    });
+    y -= lineH / 2;
+  });
+  pages.push(ops);
+
+  const streams = pages.map((p, i) => [...p, `BT /F1 ${size} Tf ${W - M - 60} ${M / 2} Td ${pdfString(`Page ${i + 1} of ${pages.length}`)} Tj ET`].join('\n'));
+  return buildPDF(streams, W, H);
+}
+
+function exportPDF(entries, columns, filterNote) {
+  if (entries.length === 0) { showToast('No data', 'warning'); return; }
+  downloadFile(expiryReportPDF(entries, columns, filterNote), 'application/pdf', `expiry-report-${exportStamp()}.pdf`);
+  showToast('Exported', 'success');
+}
+
+// JSON keeps whole records so the file can be read back with importHistoryJSON
+const HISTORY_EXPORT_FORMAT = 'oasis-pharmacy-history';
+
+function exportJSON(entries) {
+  if (entries.length === 0) { showToast('No data', 'warning'); return; }
+  // Session ids are this device's own keys; the uid is what another device can find
+  const doc = {
+    format: HISTORY_EXPORT_FORMAT, version: 2, dbVersion: DB.version, exportedAt: new Date().toISOString(),
+    entries: entries.map(e => ({ ...e, sessionUid: State.sessions.find(s => s.id === e.sessionId)?.uid || null }))
+  };
+  downloadFile(JSON.stringify(doc, null, 2), 'application/json', `pharmacy-${exportStamp()}.json`);
+  showToast('Exported', 'success');
+}
+
+async function importHistoryJSON(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch { showToast('Not a JSON file', 'error'); return; }
+  if (doc?.format !== HISTORY_EXPORT_FORMAT || !Array.isArray(doc.entries)) { showToast('Not a history export', 'error'); return; }
+
+  // Lines join the local session with the same uid, or none; the exported
+  // sessionId is the other device's key and may name an unrelated session here
+  const sessionIds = new Map(State.sessions.filter(s => s.uid).map(s => [s.uid, s.id]));
+  const incoming = doc.entries.filter(e => e.gtin14).map(({ id, sessionId, sessionUid, ...e }) => ({ ...e, sessionId: sessionIds.get(sessionUid) ?? null }));
+
+  // Same product, batch, session and scan time means the line is already here
+  const lineKey = e => [e.gtin14, e.batch || '', e.sessionId ?? '', e.scanTime || ''].join('|');
+  const have = new Set(State.history.map(lineKey));
+  const uids = new Set(State.history.map(e => e.uid));
+  const fresh = incoming.filter(e => !have.has(lineKey(e)) && !uids.has(e.uid)).map(e => refreshExpiryStatus({
+    ...e,
+    batch: e.batch || '',
+    serials: entrySerials(e),
+    serialKeys: entrySerials(e).map(p => serialKey(e.gtin14, p.serial))
+  }));
+  if (!fresh.length) { showToast('Nothing new to import', 'info'); return; }
+
+  try {
+    await DB.bulk('history', { put: fresh.map(e => Sync.touch(e)) });
+  } catch (err) {
+    console.error('History import failed:', err);
+    showToast('Import failed — nothing was added', 'error');
+    return;
+  }
+  await Audit.log('import', { target: 'history', after: { source: 'json', added: fresh.length, skipped: doc.entries.length - fresh.length } });
+  await Sync.queue('history', 'put', fresh);
+  await loadHistory();
+  showToast(`Imported ${fresh.length} lines`, 'success');
+}
+
+// EPCIS 2.0: one OBSERVE ObjectEvent per line (per pack status for serialised lines).
+// Identifiers use GS1 Digital Link URIs; expiry and status ride in an app namespace.
+const EPCIS_CONTEXT = 'https://ref.gs1.org/standards/epcis/2.0.0/epcis-context.jsonld';
+const EPCIS_NS = 'https://oasis-pharmacy.app/epcis/';
+const PACK_DISPOSITIONS = { supplied: 'dispensed', destroyed: 'destroyed', stolen: 'stolen', sample: 'non_sellable_other', exported: 'in_transit', locked: 'non_sellable_other' };
+
+function timeZoneOffset(date) {
+  const m = -date.getTimezoneOffset(), a = Math.abs(m);
+  return `${m < 0 ? '-' : '+'}${String(Math.floor(a / 60)).padStart(2, '0')}:${String(a % 60).padStart(2, '0')}`;
+}
+
+function digitalLink(gtin14, batch, serial) {
+  return `https://id.gs1.org/01/${gtin14}${batch ? `/10/${encodeURIComponent(batch)}` : ''}${serial ? `/21/${encodeURIComponent(serial)}` : ''}`;
+}
+
+function epcisEvents(entry) {
+  const time = new Date(entry.scanTime || Date.now());
+  const gln = State.pharmacy.gln;
+  const loc = entry.location || {};
+  const base = {
+    type: 'ObjectEvent',
+    eventTime: time.toISOString(),
+    eventTimeZoneOffset: timeZoneOffset(time),
+    action: 'OBSERVE',
+    bizStep: 'cycle_counting',
+    ...(gln && {
+      readPoint: { id: `https://id.gs1.org/414/${gln}${loc.aisle || loc.shelf ? `/254/${encodeURIComponent([loc.aisle, loc.shelf].filter(Boolean).join('-'))}` : ''}` },
+      bizLocation: { id: `https://id.gs1.org/414/${gln}` }
+    }),
+    'oasis:productName': entry.name || '',
+    'oasis:expiryStatus': entry.expiryStatus || 'missing',
+    ...(entry.expiry && { 'oasis:expiryDate': entry.expiry }),
+    ...(!gln && formatLocation(entry.location) && { 'oasis:location': formatLocation(entry.location) })
+  };
+  const disposition = entry.expiryStatus === 'expired' ? 'expired' : 'active';
+
+  const packs = entrySerials(entry);
+  if (!packs.length) {
+    return [{ ...base, disposition, quantityList: [{ epcClass: digitalLink(entry.gtin14, entry.batch), quantity: entry.qty || 1 }] }];
+  }
+  const byDisposition = new Map();
+  packs.forEach(p => {
+    const d = PACK_DISPOSITIONS[p.status] || disposition;
+    if (!byDisposition.has(d)) byDisposition.set(d, []);
+    byDisposition.get(d).push(digitalLink(entry.gtin14, null, p.serial));
+  });
+  return [...byDisposition].map(([d, epcList]) => ({ ...base, disposition: d, epcList }));
+}
+
+function buildEPCIS(entries) {
+  return {
+    '@context': [EPCIS_CONTEXT, { oasis: EPCIS_NS }],
+    type: 'EPCISDocument',
+    schemaVersion: '2.0',
+    creationDate: new Date().toISOString(),
+    epcisBody: { eventList: entries.flatMap(epcisEvents) }
+  };
+}
+
+function exportEPCIS(entries) {
+  if (entries.length === 0) { showToast('No data', 'warning'); return; }
+  downloadFile(JSON.stringify(buildEPCIS(entries), null, 2), 'application/ld+json', `epcis-${exportStamp()}.jsonld`);
+  showToast('Exported', 'success');
+}
+
+function openExportDialog() {
+  const statuses = STATUS_ORDER.filter(st => st !== 'missing');
+  const html = `
+    <label class="form-label">Format<select class="form-input export-format">
+      ${Object.entries(EXPORT_FORMATS).map(([k, label]) => `<option value="${k}">${label}</option>`).join('')}
+    </select></label>
+    <h4>Filters</h4>
+    <label class="form-label"><input type="checkbox" class="export-visible"> Only lines shown in History</label>
+    ${statuses.map(st => `<label class="form-label"><input type="checkbox" class="export-status" value="${st}" checked> ${statusLabel(st)}</label>`).join('')}
+    <label class="form-label">Session<select class="form-input export-session"><option value="">All sessions</option>
+      ${State.sessions.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('')}
+    </select></label>
+    <label class="form-label">Scanned from<input class="form-input export-from" type="date"></label>
+    <label class="form-label">Scanned to<input class="form-input export-to" type="date"></label>
+    <h4>Columns <span class="empty-text">(CSV, XLSX, PDF)</span></h4>
+    ${EXPORT_COLUMNS.map(c => `<label class="form-label"><input type="checkbox" class="export-column" value="${c.key}"${c.key === 'raw' ? '' : ' checked'}> ${c.label}</label>`).join('')}
+  `;
+
+  const body = openSheet('Export', html, [
+    { label: 'Export', primary: true, onClick: () => {
+      const picked = [...body.querySelectorAll('.export-status:checked')].map(c => c.value);
+      // 'OK' covers both in-date lines and lines without a date
+      if (picked.includes('ok')) picked.push('missing');
+      const filters = {
+        statuses: picked,
+        sessionId: parseInt(body.querySelector('.export-session').value, 10) || null,
+        from: body.querySelector('.export-from').value,
+        to: body.querySelector('.export-to').value
+      };
+      const source = body.querySelector('.export-visible').checked ? State.filteredHistory : State.history;
+      const entries = filterExportEntries(source, filters);
+      const columns = exportColumns([...body.querySelectorAll('.export-column:checked')].map(c => c.value));
+      if (!columns.length) { showToast('Pick at least one column', 'warning'); return; }
+
+      const session = State.sessions.find(s => s.id === filters.sessionId);
+      const note = [
+        picked.length < STATUS_ORDER.length && `Status: ${picked.filter(st => st !== 'missing').map(statusLabel).join(', ')}`,
+        session && `Session: ${session.name}`,
+        (filters.from || filters.to) && `Scanned ${filters.from || '…'} to ${filters.to || '…'}`
+      ].filter(Boolean).join(' • ');
+
+      const format = body.querySelector('.export-format').value;
+      if (format === 'csv') exportCSV(entries, columns);
+      else if (format === 'xlsx') exportXLSX(entries, columns);
+      else if (format === 'pdf') exportPDF(entries, columns, note);
+      else if (format === 'json') exportJSON(entries);
+      else exportEPCIS(entries);
+      closeSheet();
+    } }
+  ]);
+}
+
+// Pharmacy details head the PDF report and give EPCIS events a location (GLN)
+function openPharmacyDetails() {
+  const p = State.pharmacy;
+  const body = openSheet('Pharmacy Details', `
+    <label class="form-label">Name<input class="form-input pharmacy-name" value="${escapeHtml(p.name || '')}"></label>
+    <label class="form-label">Address<input class="form-input pharmacy-address" value="${escapeHtml(p.address || '')}"></label>
+    <label class="form-label">Licence no.<input class="form-input pharmacy-licence" value="${escapeHtml(p.licence || '')}"></label>
+    <label class="form-label">GLN<input class="form-input pharmacy-gln" inputmode="numeric" maxlength="13" value="${escapeHtml(p.gln || '')}"></label>
+  `, [
+    { label: 'Save', primary: true, onClick: async () => {
+      const gln = body.querySelector('.pharmacy-gln').value.trim();
+      if (gln && !(/^\d{13}$/.test(gln) && isValidCheckDigit(gln))) { showToast('GLN must be 13 digits with a valid check digit', 'warning'); return; }
+      State.pharmacy = {
+        name: body.querySelector('.pharmacy-name').value.trim(),
+        address: body.querySelector('.pharmacy-address').value.trim(),
+        licence: body.querySelector('.pharmacy-licence').value.trim(),
+        gln
+      };
+      await DB.put('settings', { key: 'pharmacy', value: State.pharmacy });
+      closeSheet();
+      showToast('Saved', 'success');
+    } }
+  ]);
+}
+
+// Navigation
+function navigateTo(page) {
+  document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
+  document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
+  document.getElementById(`page-${page}`)?.classList.add('active');
+  document.querySelector(`[data-page="${page}"]`)?.classList.add('active');
+  State.currentPage = page;
+  if (page === 'dashboard') renderDashboard();
+  if (page !== 'home' && State.scanning) stopScanner();
+  Haptic.light();
+}
+
+// Edit Modal
+function openEditModal(entry) {
+  State.editingEntry = entry;
+  document.getElementById('editName').value = entry.name || '';
+  document.getElementById('editQty').value = entry.qty || 1;
+  document.getElementById('editExpiry').value = entry.expiry || '';
+  document.getElementById('editBatch').value = entry.batch || '';
+  ensureEditDateFields();
+  document.getElementById('editBestBefore').value = entry.bestBefore || '';
+  document.getElementById('editProdDate').value = entry.prodDate || '';
+  document.getElementById('editPackDate').value = entry.packDate || '';
+  document.getElementById('editDateBasis').value = State.dateBasis[entry.gtin14] || 'expiry';
+  document.getElementById('editProfile').innerHTML = `<option value="">Auto (${escapeHtml(getThresholdProfile(entry.gtin14).name)})</option>` +
+    State.thresholds.profiles.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+  document.getElementById('editProfile').value = State.thresholds.products[entry.gtin14] || '';
+  renderEditSerials(entry);
+  document.getElementById('editModal').classList.add('show');
+}
+
+// Form fields that older index.html builds lack are added next to an existing one
+function ensureField(afterId, id, label, type = 'text') {
+  const existing = document.getElementById(id);
+  if (existing) return existing;
+  const anchor = document.getElementById(afterId);
+  const input = document.createElement(type === 'select' ? 'select' : 'input');
+  if (type !== 'select') input.type = type;
+  input.id = id;
+  input.className = anchor.className;
+  const group = document.createElement('div');
+  group.className = 'form-group';
+  group.innerHTML = `<label class="form-label" for="${id}">${label}</label>`;
+  group.appendChild(input);
+  (anchor.closest('.form-group') || anchor).after(group);
+  return input;
+}
+
+function ensureEditDateFields() {
+  ensureField('editExpiry', 'editBestBefore', DATE_FIELDS.bestBefore, 'date');
+  ensureField('editBestBefore', 'editProdDate', DATE_FIELDS.prodDate, 'date');
+  ensureField('editProdDate', 'editPackDate', DATE_FIELDS.packDate, 'date');
+  const basis = ensureField('editPackDate', 'editDateBasis', 'Governing date', 'select');
+  if (!basis.options.length) basis.innerHTML = Object.keys(DATE_BASIS).map(f => `<option value="${f}">${DATE_FIELDS[f]}</option>`).join('');
+  ensureField('editDateBasis', 'editProfile', 'Expiry profile', 'select');
+}
+
+function renderEditSerials(entry) {
+  let box = document.getElementById('editSerials');
+  if (!box) {
+    box = document.createElement('div');
+    box.id = 'editSerials';
+    box.className = 'form-group edit-serials';
+    const anchor = document.getElementById('editBatch');
+    (anchor.closest('.form-group') || anchor).after(box);
+  }
+  const packs = entrySerials(entry);
+  box.style.display = packs.length ? '' : 'none';
+  box.innerHTML = `<label class="form-label">Packs (${packs.length})</label>` + packs.map((p, i) => `
+    <div class="serial-row">
+      <span class="serial-no">${escapeHtml(p.serial)}</span>
+      <select class="form-input serial-status" data-index="${i}">
+        ${Object.entries(PACK_STATUSES).map(([st, label]) => `<option value="${st}"${st === p.status ? ' selected' : ''}>${label}</option>`).join('')}
+      </select>
+    </div>`).join('');
+}
+
+function ensureEditDeleteButton() {
+  let btn = document.getElementById('btnDeleteEdit');
+  if (btn) return btn;
+  btn = document.getElementById('btnCancelEdit').cloneNode(true);
+  btn.id = 'btnDeleteEdit';
+  btn.textContent = 'Delete';
+  document.getElementById('btnCancelEdit').before(btn);
+  return btn;
+}
+
+function closeEditModal() {
+  document.getElementById('editModal').classList.remove('show');
+  State.editingEntry = null;
+}
+
+async function saveEdit() {
+  if (!State.editingEntry) return;
+  State.editingEntry.name = document.getElementById('editName').value;
+  State.editingEntry.qty = parseInt(document.getElementById('editQty').value, 10) || 1;
+  State.editingEntry.expiry = document.getElementById('editExpiry').value;
+  State.editingEntry.batch = document.getElementById('editBatch').value;
+  State.editingEntry.bestBefore = document.getElementById('editBestBefore').value || null;
+  State.editingEntry.prodDate = document.getElementById('editProdDate').value || null;
+  State.editingEntry.packDate = document.getElementById('editPackDate').value || null;
+  State.editingEntry.expiryFormatted = formatDate(State.editingEntry.expiry);
+  const packs = entrySerials(State.editingEntry);
+  if (packs.length) {
+    document.querySelectorAll('#editSerials .serial-status').forEach(sel => {
+      const pack = packs[+sel.dataset.index];
+      if (pack.status !== sel.value) { pack.status = sel.value; pack.statusTime = new Date().toISOString(); }
+    });
+    State.editingEntry.serials = packs;
+    State.editingEntry.serialKeys = packs.map(p => serialKey(State.editingEntry.gtin14, p.serial));
+  }
+  
+  const basis = document.getElementById('editDateBasis').value;
+  if (basis !== (State.dateBasis[State.editingEntry.gtin14] || 'expiry')) await setDateBasis(State.editingEntry.gtin14, basis);
+  const profile = document.getElementById('editProfile').value;
+  if (profile !== (State.thresholds.products[State.editingEntry.gtin14] || '')) await assignThresholdProfile(State.editingEntry.gtin14, profile);
+  refreshExpiryStatus(State.editingEntry);
+  
+  await updateHistoryEntry(State.editingEntry);
+  closeEditModal();
+}
+
+// Confirm Modal
+let confirmCallback = null;
+function showConfirm(title, msg, cb) {
+  document.getElementById('confirmTitle').textContent = title;
+  document.getElementById('confirmMsg').textContent = msg;
+  confirmCallback = cb;
+  document.getElementById('confirmModal').classList.add('show');
+}
+function closeConfirm() {
+  document.getElementById('confirmModal').classList.remove('show');
+  confirmCallback = null;
+}
+
+// Unknown Products
+function isUnknownEntry(e) {
+  return e.unknown || (e.matchType === 'none' && /^Unknown \(/.test(e.name || ''));
+}
+
+async function backfillHistory(gtin14, changes, only = () => true) {
+  const entries = (await DB.getAllByIndex('history', 'gtin14', gtin14)).filter(only).map(e => Sync.touch({ ...e, ...changes }));
+  await DB.bulk('history', { put: entries });
+  await Sync.queue('history', 'put', entries);
+  return entries.length;
+}
+
+// Writes a counter-named product to master, re-indexes and names earlier scans
+async function quickAddProduct(gtin14, fields) {
+  try {
+    const existing = State.masterData.get(gtin14);
+    await Audit.log('quick_add', { target: gtin14, before: existing || null, after: fields });
+    await DB.put('master', normalizeMasterRecord({
+      ...existing,
+      ...fields,
+      gtin: gtin14,
+      source: existing?.source || 'quick_add',
+      pending: existing ? existing.pending : true,
+      addedAt: existing?.addedAt || new Date().toISOString()
+    }));
+    await loadMasterData();
+    const n = await backfillHistory(gtin14, { name: fields.name, unknown: false, matchType: 'quick_add' });
+    await loadHistory();
+    showToast(`Saved • ${n} scan${n === 1 ? '' : 's'} updated`, 'success');
+  } catch (err) {
+    console.error('Quick add failed:', err);
+    showToast('Failed to save product', 'error');
+  }
+}
+
+// suggested pre-fills the form for products the counter hasn't named yet
+function openQuickAdd(gtin14, after = null, suggested = {}) {
+  const existing = State.masterData.get(gtin14);
+  const body = openSheet('Unknown Product', `
+    <p class="quick-add-gtin">${gtin14}</p>
+    <label class="form-label">Product name<input class="form-input qa-name" value="${escapeHtml(existing?.name || suggested.name || '')}" placeholder="e.g. Panadol 500mg Tablets 24s"></label>
+    <label class="form-label">Pack size<input class="form-input qa-pack" value="${escapeHtml(existing?.packSize || '')}"></label>
+    <label class="form-label">Category<input class="form-input qa-category" value="${escapeHtml(existing?.category || '')}"></label>
+  `, [
+    { label: 'Save', primary: true, onClick: async () => {
+      const name = body.querySelector('.qa-name').value.trim();
+      if (!name) { showToast('Enter a name', 'warning'); return; }
+      await quickAddProduct(gtin14, { name, packSize: body.querySelector('.qa-pack').value.trim(), category: body.querySelector('.qa-category').value.trim() });
+      closeSheet();
+    } }
+  ], after);
+  body.querySelector('.qa-name').focus();
+}
+
+async function approveProduct(gtin14) {
+  const item = State.masterData.get(gtin14);
+  if (!item) return;
+  await DB.put('master', { ...item, pending: false });
+  await Audit.log('approve', { target: gtin14, after: item });
+  await loadMasterData();
+}
+
+async function rejectProduct(gtin14) {
+  await Audit.log('reject', { target: gtin14, before: State.masterData.get(gtin14) || null });
+  await DB.delete('master', gtin14);
+  await loadMasterData();
+  await backfillHistory(gtin14, { name: `Unknown (${gtin14.slice(-8)})`, unknown: true, matchType: 'none' });
+  await loadHistory();
+}
+
+// Supervisor review: unnamed scans and counter-named products awaiting approval
+function openUnknownReview() {
+  const unnamed = new Map();
+  State.history.filter(isUnknownEntry).forEach(e => unnamed.set(e.gtin14, (unnamed.get(e.gtin14) || 0) + (e.qty || 1)));
+  const pending = [...State.masterData.values()].filter(p => p.pending);
+  
+  const body = openSheet('Unknown Products', `
+    <h4>Not named yet (${unnamed.size})</h4>
+    ${[...unnamed].map(([gtin, qty]) => `
+      <div class="history-item review-item" data-gtin="${gtin}" data-action="name">
+        <div class="item-info"><div class="item-name">${gtin}</div><div class="item-details">${qty} unit${qty === 1 ? '' : 's'} scanned</div></div>
+        <button class="btn btn-secondary" data-action="name">Name</button>
+      </div>`).join('') || '<p class="empty-text">None</p>'}
+    <h4>Awaiting approval (${pending.length})</h4>
+    ${pending.map(p => `
+      <div class="history-item review-item" data-gtin="${p.gtin}">
+        <div class="item-info"><div class="item-name">${escapeHtml(p.name)}</div><div class="item-details">${p.gtin}${p.addedAt ? ` • ${new Date(p.addedAt).toLocaleDateString()}` : ''}</div></div>
+        <button class="btn btn-primary" data-action="approve">Approve</button>
+        <button class="btn btn-secondary" data-action="edit">Edit</button>
+        <button class="btn btn-secondary" data-action="reject">Reject</button>
+      </div>`).join('') || '<p class="empty-text">None</p>'}
+  `);
+  
+  body.querySelectorAll('.review-item button').forEach(btn => btn.addEventListener('click', e => {
+    e.stopPropagation();
+    const gtin = btn.closest('.review-item').dataset.gtin;
+    const action = btn.dataset.action;
+    if (action === 'name') openQuickAdd(gtin, () => setTimeout(openUnknownReview));
+    else requirePermission('approveProducts', async () => {
+      if (action === 'approve') { await approveProduct(gtin); showToast('Approved', 'success'); openUnknownReview(); }
+      else if (action === 'edit') openQuickAdd(gtin, () => setTimeout(openUnknownReview));
+      else if (action === 'reject') { await rejectProduct(gtin); showToast('Removed', 'success'); openUnknownReview(); }
+    });
+  }));
+}
+
+// Recalls
+// Recall notices list GTIN + batch; a blank batch recalls every batch of the
+// GTIN. Scans are matched when shown rather than stamped, so a notice imported
+// today also flags stock counted last week.
+const RECALL_REPORT_COLUMNS = ['gtin14', 'name', 'batch', 'expiry', 'qty', 'location', 'session', 'scanTime'];
+
+const recallKey = (gtin14, batch) => `${gtin14}|${(batch || '').trim().toUpperCase()}`;
+
+async function loadRecalls() {
+  State.recalls = new Map((await DB.getAll('recalls')).map(r => [r.key, r]));
+}
+
+function findRecall(gtin14, batch) {
+  if (!State.recalls.size) return null;
+  return State.recalls.get(recallKey(gtin14, batch)) || State.recalls.get(recallKey(gtin14, '')) || null;
+}
+
+function recallRecord(gtin14, batch, extra, source) {
+  return { key: recallKey(gtin14, batch), gtin14, batch: (batch || '').trim(), reference: extra.reference || '', reason: extra.reason || '', source, importedAt: new Date().toISOString() };
+}
+
+// Accepts a JSON array (or { recalls: [...] }), a CSV with a GTIN column, or
+// one GS1 string / "gtin,batch" pair per line → { items, skipped }
+function parseRecallList(text, source) {
+  const items = [];
+  let skipped = 0;
+  const add = (gtin, batch, extra = {}) => {
+    const gtin14 = normalizeGtin(gtin);
+    if (gtin14 && isValidCheckDigit(gtin14)) items.push(recallRecord(gtin14, batch, extra, source));
+    else skipped++;
+  };
+  
+  const trimmed = text.trim();
+  if (/^[[{]/.test(trimmed)) {
+    const data = JSON.parse(trimmed);
+    (Array.isArray(data) ? data : data.recalls || []).forEach(r => add(r.gtin14 || r.gtin || r.barcode, r.batch || r.lot, r));
+    return { items, skipped };
+  }
+  
+  const rows = parseCSV(trimmed);
+  const header = (rows[0] || []).map(h => h.trim().toLowerCase());
+  const col = re => header.findIndex(h => re.test(h));
+  const gtinCol = col(/gtin|barcode|ean/);
+  if (gtinCol !== -1) {
+    const batchCol = col(/batch|lot/), refCol = col(/ref|notice|recall/), reasonCol = col(/reason|description/);
+    rows.slice(1).forEach(r => add(r[gtinCol], r[batchCol], { reference: r[refCol]?.trim(), reason: r[reasonCol]?.trim() }));
+    return { items, skipped };
+  }
+  
+  trimmed.split(/\r?\n/).map(l => l.trim()).filter(Boolean).forEach(line => {
+    const parsed = parseGS1(line);
+    if (parsed.gtin14) { add(parsed.gtin14, parsed.batch); return; }
+    const [gtin, batch] = line.split(/[,;\t]/);
+    add(gtin, batch);
+  });
+  return { items, skipped };
+}
+
+async function importRecalls(text, source) {
+  try {
+    const { items, skipped } = parseRecallList(text, source);
+    if (!items.length) { showToast('No recalls found', 'warning'); return; }
+    await DB.bulk('recalls', { put: items });
+    await Audit.log('recall_import', { target: source, after: { count: items.length, skipped } });
+    await loadRecalls();
+    await loadHistory();
+    const hits = recallMatches();
+    showToast(`${items.length} recall${items.length === 1 ? '' : 's'} imported${skipped ? ` • ${skipped} skipped` : ''}`, 'success');
+    if (hits.length) openRecallReport();
+    else openRecalls();
+  } catch (err) {
+    console.error('Recall import failed:', err);
+    showToast('Could not read recall list', 'error');
+  }
+}
+
+// Affected scans grouped per recall, with quantity per location
+function recallMatches() {
+  const groups = new Map();
+  State.history.forEach(e => {
+    const recall = findRecall(e.gtin14, e.batch);
+    if (!recall) return;
+    const g = groups.get(recall.key) || { recall, name: e.name, qty: 0, ids: [], entries: [], locations: new Map() };
+    const place = formatLocation(e.location) || 'No location';
+    g.qty += e.qty || 1;
+    g.ids.push(e.id);
+    g.entries.push(e);
+    g.locations.set(place, (g.locations.get(place) || 0) + (e.qty || 1));
+    groups.set(recall.key, g);
+  });
+  return [...groups.values()].sort((a, b) => b.qty - a.qty);
+}
+
+function openRecallReport() {
+  const groups = recallMatches();
+  const body = openSheet('Recall Report', `
+    <p class="empty-text">${groups.length ? `${groups.reduce((n, g) => n + g.qty, 0)} units across ${groups.length} recalled batch${groups.length === 1 ? '' : 'es'}` : 'No scanned stock matches the recall list'}</p>
+    ${groups.map((g, i) => `
+      <div class="history-item recall-group" data-index="${i}">
+        <div class="item-info">
+          <div class="item-name">${escapeHtml(State.masterData.get(g.recall.gtin14)?.name || g.name)}</div>
+          <div class="item-details">${g.recall.gtin14} • ${g.recall.batch ? `Batch ${escapeHtml(g.recall.batch)}` : 'All batches'}${g.recall.reference ? ` • ${escapeHtml(g.recall.reference)}` : ''}</div>
+          <div class="item-details">${[...g.locations].map(([place, qty]) => `${escapeHtml(place)}: ${qty}`).join(' • ')}</div>
+        </div>
+        <span class="item-badge badge-expired">Recalled</span>
+        <div class="item-qty">${g.qty}</div>
+      </div>`).join('')}
+  `, groups.length ? [
+    { label: 'Export CSV', primary: true, onClick: () => {
+      const columns = [
+        ...RECALL_REPORT_COLUMNS.map(key => EXPORT_COLUMNS.find(c => c.key === key)),
+        { key: 'recall', label: 'Recall notice', get: e => findRecall(e.gtin14, e.batch)?.reference || '' }
+      ];
+      exportCSV(groups.flatMap(g => g.entries), columns, 'recall-report');
+    } }
+  ] : []);
+  
+  body.querySelectorAll('.recall-group').forEach(row => row.addEventListener('click', () => {
+    const g = groups[+row.dataset.index];
+    closeSheet();
+    showFilteredHistory(g.ids, `Recall ${g.recall.batch || g.recall.gtin14}`);
+  }));
+}
+
+// Blocks further scans until the counter confirms the pack is set aside
+function alertRecall(entry, recall) {
+  Haptic.error();
+  State.recallHold = true;
+  return new Promise(resolve => {
+    openSheet('Recalled Batch', `
+      <p><strong>${escapeHtml(entry.name)}</strong></p>
+      <p class="quick-add-gtin">${entry.gtin14} • ${entry.batch ? `Batch ${escapeHtml(entry.batch)}` : 'No batch'}</p>
+      ${recall.reference ? `<p>Notice ${escapeHtml(recall.reference)}</p>` : ''}
+      ${recall.reason ? `<p>${escapeHtml(recall.reason)}</p>` : ''}
+      <p>Take this pack off the shelf and quarantine it.</p>
+    `, [
+      { label: 'Quarantined', primary: true, onClick: closeSheet }
+    ], () => { State.recallHold = false; resolve(); });
+  });
+}
+
+function openRecalls() {
+  const recalls = [...State.recalls.values()].sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+  const hits = recallMatches();
+  const body = openSheet('Recalls', `
+    <p class="empty-text">${recalls.length} recalled batch${recalls.length === 1 ? '' : 'es'} • ${hits.reduce((n, g) => n + g.qty, 0)} scanned units affected</p>
+    ${recalls.map(r => `
+      <div class="history-item recall-item" data-key="${escapeHtml(r.key)}">
+        <div class="item-info">
+          <div class="item-name">${escapeHtml(State.masterData.get(r.gtin14)?.name || r.gtin14)}</div>
+          <div class="item-details">${r.gtin14} • ${r.batch ? `Batch ${escapeHtml(r.batch)}` : 'All batches'}${r.reference ? ` • ${escapeHtml(r.reference)}` : ''}</div>
+        </div>
+        <button class="btn btn-secondary" data-action="remove">Remove</button>
+      </div>`).join('') || '<p class="empty-text">No recalls imported</p>'}
+  `, [
+    { label: 'Import File', onClick: () => requirePermission('masterImport', () => pickFile('.csv,.json,.txt,text/csv,application/json,text/plain', importRecalls)) },
+    { label: 'Paste', onClick: () => requirePermission('masterImport', openRecallPaste) },
+    { label: 'Report', primary: true, onClick: openRecallReport }
+  ]);
+  
+  body.querySelectorAll('.recall-item button').forEach(btn => btn.addEventListener('click', () => requirePermission('masterImport', async () => {
+    const key = btn.closest('.recall-item').dataset.key;
+    await Audit.log('recall_remove', { target: key, before: State.recalls.get(key) });
+    await DB.delete('recalls', key);
+    await loadRecalls();
+    await loadHistory();
+    openRecalls();
+  })));
+}
+
+function openRecallPaste() {
+  const body = openSheet('Paste Recalls', `
+    <p class="empty-text">One per line: a GS1 barcode string with (01) and (10), or GTIN,batch. Leave the batch off to recall every batch.</p>
+    <textarea class="form-input recall-text" rows="8" placeholder="(01)06291041500213(10)B1234&#10;06291041500213,B5678"></textarea>
+  `, [
+    { label: 'Import', primary: true, onClick: () => {
+      const text = body.querySelector('.recall-text').value;
+      if (!text.trim()) { showToast('Paste the recall list', 'warning'); return; }
+      importRecalls(text, 'paste');
+    } }
+  ]);
+  body.querySelector('.recall-text').focus();
+}
+
+// Sell First (FEFO)
+// Stock as last counted (see latestCounts) per product, batch by batch,
+// earliest expiry first. Expired and recalled batches are listed but never picked. Pick mode turns a scan into a
+// check against that order instead of a count.
+const SELLABLE_PACKS = ['active', 'verified'];
+
+// → batches of one GTIN in FEFO order: { batch, date, dateLabel, status, qty, ids, locations, recall, blocked }
+function fefoBatches(gtin14) {
+  const batches = new Map();
+  latestCounts(State.history.filter(e => e.gtin14 === gtin14)).forEach(e => {
+    // Serialised lines count only packs still on the shelf
+    const packs = entrySerials(e);
+    const qty = packs.length ? packs.filter(p => SELLABLE_PACKS.includes(p.status)).length : e.qty || 1;
+    if (!qty) return;
+    const key = (e.batch || '').trim().toUpperCase();
+    const gov = getGoverningDate(e);
+    const b = batches.get(key) || { batch: e.batch || '', date: null, dateLabel: 'No expiry', status: e.expiryStatus, qty: 0, ids: [], locations: new Map(), recall: findRecall(gtin14, e.batch) };
+    // Lines of one batch should agree on the date; if not, the earliest counts
+    if (gov && (!b.date || gov.iso < b.date)) Object.assign(b, { date: gov.iso, dateLabel: formatEntryDate(e), status: e.expiryStatus });
+    const place = formatLocation(e.location) || 'No location';
+    b.qty += qty;
+    b.ids.push(e.id);
+    b.locations.set(place, (b.locations.get(place) || 0) + qty);
+    batches.set(key, b);
+  });
+  return [...batches.values()]
+    .sort((a, b) => (a.date || '9999').localeCompare(b.date || '9999'))
+    .map(b => ({ ...b, blocked: b.recall ? 'Recalled' : b.status === 'expired' ? 'Expired' : '' }));
+}
+
+function fefoBatchHTML(b, badge) {
+  return `
+    <div class="history-item">
+      <div class="item-info">
+        <div class="item-name">${b.batch ? `Batch ${escapeHtml(b.batch)}` : 'No batch'} • ${escapeHtml(b.dateLabel)}</div>
+        <div class="item-details">${[...b.locations].map(([place, qty]) => `${escapeHtml(place)}: ${qty}`).join(' • ')}</div>
+      </div>
+      ${badge}
+      <div class="item-qty">${b.qty}</div>
+    </div>`;
+}
+
+function openFefo(gtin14, back = null) {
+  const batches = fefoBatches(gtin14);
+  const first = batches.find(b => !b.blocked);
+  const name = State.masterData.get(gtin14)?.name || State.history.find(e => e.gtin14 === gtin14)?.name || gtin14;
+  openSheet(name, `
+    <p class="quick-add-gtin">${gtin14}</p>
+    ${batches.map(b => fefoBatchHTML(b,
+      b.blocked ? `<span class="item-badge badge-expired">${b.blocked}</span>`
+        : b === first ? '<span class="item-badge badge-ok">Sell first</span>' : '')).join('') || '<p class="empty-text">No counted stock</p>'}
+  `, [
+    ...(back ? [{ label: 'Back', onClick: back }] : []),
+    { label: 'Show in History', onClick: () => { closeSheet(); showFilteredHistory(batches.flatMap(b => b.ids), name); } },
+    { label: State.pickMode ? 'Exit Pick Mode' : 'Pick Mode', primary: true, onClick: () => setPickMode(!State.pickMode) }
+  ]);
+}
+
+// Every counted product, the one with the soonest sellable batch on top
+function openFefoProducts(query = '') {
+  const products = [...new Set(State.history.map(e => e.gtin14))].map(gtin14 => {
+    const batches = fefoBatches(gtin14);
+    const first = batches.find(b => !b.blocked);
+    const name = State.masterData.get(gtin14)?.name || State.history.find(e => e.gtin14 === gtin14)?.name || gtin14;
+    return { gtin14, name, first, qty: batches.filter(b => !b.blocked).reduce((n, b) => n + b.qty, 0) };
+  }).sort((a, b) => (a.first?.date || '9999').localeCompare(b.first?.date || '9999') || a.name.localeCompare(b.name));
+  
+  const body = openSheet('Sell First', `
+    <input class="form-input fefo-search" type="search" placeholder="Search product or GTIN" value="${escapeHtml(query)}">
+    <div class="fefo-list"></div>
+  `, [
+    { label: State.pickMode ? 'Exit Pick Mode' : 'Pick Mode', primary: true, onClick: () => setPickMode(!State.pickMode) }
+  ]);
+  
+  const list = body.querySelector('.fefo-list');
+  const render = () => {
+    const q = body.querySelector('.fefo-search').value.trim().toLowerCase();
+    const shown = products.filter(p => !q || p.name.toLowerCase().includes(q) || p.gtin14.includes(q));
+    list.innerHTML = shown.map(p => `
+      <div class="history-item fefo-product" data-gtin="${p.gtin14}">
+        <div class="item-info">
+          <div class="item-name">${escapeHtml(p.name)}</div>
+          <div class="item-details">${p.first ? `First: ${p.first.batch ? `batch ${escapeHtml(p.first.batch)} • ` : ''}${escapeHtml(p.first.dateLabel)}` : 'Nothing sellable'}</div>
+        </div>
+        <div class="item-qty">${p.qty}</div>
+      </div>`).join('') || '<p class="empty-text">No products</p>';
+    list.querySelectorAll('.fefo-product').forEach(row => row.addEventListener('click', () =>
+      openFefo(row.dataset.gtin, () => openFefoProducts(body.querySelector('.fefo-search').value))));
+  };
+  body.querySelector('.fefo-search').addEventListener('input', render);
+  render();
+}
+
+function setPickMode(on) {
+  State.pickMode = on;
+  renderSessionBar();
+  closeSheet();
+  if (on) navigateTo('home');
+  showToast(on ? 'Pick mode — scan a pack to check it goes first' : 'Pick mode off', 'info');
+}
+
+// → { ok, message, earlier } for the pack in hand against counted stock
+function pickVerdict(parsed) {
+  const pack = refreshExpiryStatus({ ...parsed });
+  const gov = getGoverningDate(pack);
+  const mine = (pack.batch || '').trim().toUpperCase();
+  const sellable = fefoBatches(pack.gtin14).filter(b => !b.blocked && b.batch.trim().toUpperCase() !== mine);
+  if (findRecall(pack.gtin14, pack.batch)) return { ok: false, message: 'This batch is recalled — do not sell it.', earlier: sellable.slice(0, 3) };
+  if (pack.expiryStatus === 'expired') return { ok: false, message: 'This pack has expired — do not sell it.', earlier: sellable.slice(0, 3) };
+  // An undated pack loses to any dated batch
+  const earlier = sellable.filter(b => b.date && (!gov || b.date < gov.iso));
+  if (!earlier.length) return { ok: true, message: sellable.length ? 'Nothing counted expires sooner — sell this one first.' : 'No other counted stock of this product.', earlier };
+  const next = earlier[0];
+  return { ok: false, message: `${earlier.length === 1 ? 'A batch expires' : `${earlier.length} batches expire`} sooner — sell ${next.batch ? `batch ${next.batch}` : 'that'} first.`, earlier };
+}
+
+function openPickResult(parsed, product) {
+  const verdict = pickVerdict(parsed);
+  const name = product?.name || State.masterData.get(parsed.gtin14)?.name || State.history.find(e => e.gtin14 === parsed.gtin14)?.name || parsed.gtin14;
+  if (verdict.ok) Haptic.success();
+  else Haptic.error();
+  openSheet(verdict.ok ? 'Sell This One' : 'Not This One', `
+    <p><strong>${escapeHtml(name)}</strong></p>
+    <p class="quick-add-gtin">${parsed.batch ? `Batch ${escapeHtml(parsed.batch)}` : 'No batch'} • ${escapeHtml(formatEntryDate(parsed))}</p>
+    <p>${escapeHtml(verdict.message)}</p>
+    ${verdict.earlier.map(b => fefoBatchHTML(b, '')).join('')}
+  `, [
+    { label: 'Exit Pick Mode', onClick: () => setPickMode(false) },
+    { label: 'Product', onClick: () => openFefo(parsed.gtin14) }
+  ]);
+}
+
+// Audit Log
+// Append-only. Each record carries seq, the previous record's hash and its own
+// SHA-256 over the canonical JSON, so a removed or altered record breaks the chain.
+const AUDIT_ACTIONS = {
+  scan: 'Scan', edit: 'Edit', delete: 'Delete', clear: 'Clear all',
+  import: 'Master import', import_undo: 'Import undo', quick_add: 'Quick add',
+  approve: 'Approve product', reject: 'Reject product', user: 'User change', session: 'Count session',
+  restore: 'Backup restore', recall_import: 'Recall import', recall_remove: 'Recall removed'
+};
+
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+async function sha256(text) {
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Latest seq and hash, kept in settings so records cut from the end of the log are noticed
+const AUDIT_HEAD_KEY = 'auditHead';
+
+const Audit = {
+  queue: Promise.resolve(),
+  
+  // Appends are serialised so each one sees the previous head. Resolves to
+  // false when the record couldn't be written; the user is told, since the
+  // change itself has already been saved.
+  log(action, data = {}) {
+    const { target = null, before = null, after = null } = structuredClone(data);
+    const user = activeUser();
+    const actor = user ? { id: user.id, name: user.name, role: user.role } : null;
+    const time = new Date().toISOString();
+    this.queue = this.queue.then(() => this.append({ time, actor, action, target, before, after })).then(() => true, err => {
+      console.error('Audit log failed:', err);
+      showToast('Saved, but not written to the audit log', 'error');
+      return false;
+    });
+    return this.queue;
+  },
+  
+  // Another tab may take the same seq first; the add then fails on the key
+  // and is redone on top of that tab's record
+  async append(entry, attempt = 1) {
+    const last = await DB.last('audit');
+    const record = { seq: (last?.seq || 0) + 1, ...entry, prevHash: last?.hash || '' };
+    record.hash = await sha256(canonicalJSON(record));
+    try {
+      await this.write(record);
+    } catch (err) {
+      if (err?.name !== 'ConstraintError' || attempt >= 5) throw err;
+      await this.append(entry, attempt + 1);
+    }
+  },
+  
+  // The record and the head anchor commit together or not at all
+  write(record) {
+    return new Promise((resolve, reject) => {
+      const tx = DB.instance.transaction(['audit', 'settings'], 'readwrite');
+      tx.objectStore('audit').add(record);
+      tx.objectStore('settings').put({ key: AUDIT_HEAD_KEY, value: { seq: record.seq, hash: record.hash } });
+      tx.oncomplete = () => resolve();
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+  
+  // → [{ seq, problem }]; empty when the chain is intact
+  async verify() {
+    const records = await DB.getAll('audit');
+    const head = (await DB.get('settings', AUDIT_HEAD_KEY))?.value;
+    const problems = [];
+    const missing = (from, to) => from === to ? `Record ${from} missing` : `Records ${from}–${to} missing`;
+    let prev = null;
+    for (const r of records) {
+      const { hash, ...body } = r;
+      if (await sha256(canonicalJSON(body)) !== hash) problems.push({ seq: r.seq, problem: 'Record altered' });
+      if (prev && r.seq !== prev.seq + 1) problems.push({ seq: r.seq, problem: missing(prev.seq + 1, r.seq - 1) });
+      if (!prev && r.seq !== 1) problems.push({ seq: r.seq, problem: missing(1, r.seq - 1) });
+      if ((prev?.hash || '') !== r.prevHash) problems.push({ seq: r.seq, problem: 'Chain broken' });
+      prev = r;
+    }
+    // Logs written before the anchor existed have no head yet
+    if (head && (prev?.seq || 0) < head.seq) problems.push({ seq: head.seq, problem: missing((prev?.seq || 0) + 1, head.seq) });
+    else if (head && (prev.seq !== head.seq || prev.hash !== head.hash)) problems.push({ seq: prev.seq, problem: 'Chain head does not match' });
+    return problems;
+  }
+};
+
+function filterAudit(records, { action = '', query = '', from = '', to = '' }) {
+  const q = query.toLowerCase();
+  return records.filter(r =>
+    (!action || r.action === action) &&
+    (!from || r.time >= from) &&
+    (!to || r.time.slice(0, 10) <= to) &&
+    (!q || `${r.actor?.name || ''} ${canonicalJSON(r.target)} ${canonicalJSON(r.before)} ${canonicalJSON(r.after)}`.toLowerCase().includes(q))
+  );
+}
+
+function describeAudit(r) {
+  const name = r.after?.name || r.before?.name || '';
+  const parts = [];
+  if (r.action === 'edit' && r.before && r.after) {
+    Object.keys(r.after).forEach(k => {
+      if (['expiryStatus', 'expiryFormatted'].includes(k)) return;
+      if (canonicalJSON(r.before[k]) !== canonicalJSON(r.after[k])) parts.push(`${k}: ${r.before[k] ?? '—'} → ${r.after[k] ?? '—'}`);
+    });
+  } else if (r.action === 'scan') {
+    parts.push(r.before ? `qty ${r.before.qty} → ${r.after.qty}` : `qty ${r.after?.qty}`);
+  } else if (r.action === 'import' || r.action === 'import_undo' || r.action === 'clear') {
+    parts.push(Object.entries(r.after || {}).map(([k, v]) => `${k} ${v}`).join(', '));
+  }
+  return [name, ...parts].filter(Boolean).join(' • ');
+}
+
+function downloadFile(content, type, fileName) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function exportAudit(records, format) {
+  const stamp = new Date().toISOString().split('T')[0];
+  if (format === 'json') {
+    downloadFile(JSON.stringify(records, null, 2), 'application/json', `audit-${stamp}.json`);
+  } else {
+    const q = v => `"${String(v ?? '').replace(/"/g, '""')}"`;
+    const headers = ['Seq', 'Time', 'User', 'Role', 'Action', 'Target', 'Before', 'After', 'PrevHash', 'Hash'];
+    const rows = records.map(r => [r.seq, r.time, q(r.actor?.name), r.actor?.role || '', r.action, q(canonicalJSON(r.target)), q(canonicalJSON(r.before)), q(canonicalJSON(r.after)), r.prevHash, r.hash]);
+    downloadFile([headers.join(','), ...rows.map(r => r.join(','))].join('\n'), 'text/csv', `audit-${stamp}.csv`);
+  }
+  showToast('Exported', 'success');
+}
+
+async function openAuditViewer(filters = {}) {
+  const all = (await DB.getAll('audit')).reverse();
+  const records = filterAudit(all, filters);
+  const body = openSheet('Audit Log', `
+    <div class="audit-filters">
+      <select class="form-input audit-action"><option value="">All actions</option>${Object.entries(AUDIT_ACTIONS).map(([a, label]) => `<option value="${a}"${a === filters.action ? ' selected' : ''}>${label}</option>`).join('')}</select>
+      <input class="form-input audit-query" placeholder="User, product, GTIN…" value="${escapeHtml(filters.query || '')}">
+      <input class="form-input audit-from" type="date" value="${filters.from || ''}">
+      <input class="form-input audit-to" type="date" value="${filters.to || ''}">
+    </div>
+    <p class="audit-count">${records.length} of ${all.length} records</p>
+    <div class="audit-verify"></div>
+    <div class="audit-list">
+      ${records.slice(0, 200).map(r => `
+        <div class="history-item audit-item">
+          <div class="item-info">
+            <div class="item-name">${AUDIT_ACTIONS[r.action] || r.action} • ${escapeHtml(r.actor?.name || 'Not signed in')}</div>
+            <div class="item-details">${new Date(r.time).toLocaleString()} • ${escapeHtml(describeAudit(r))}</div>
+          </div>
+          <span class="item-qty">#${r.seq}</span>
+        </div>`).join('') || '<p class="empty-text">No records</p>'}
+    </div>
+  `, [
+    { label: 'Verify', onClick: async () => {
+      const problems = await Audit.verify();
+      body.querySelector('.audit-verify').innerHTML = problems.length
+        ? problems.map(p => `<p class="import-error">#${p.seq}: ${p.problem}</p>`).join('')
+        : '<p class="import-summary">Chain intact</p>';
+    } },
+    { label: 'CSV', onClick: () => exportAudit(records, 'csv') },
+    { label: 'JSON', onClick: () => exportAudit(records, 'json') }
+  ]);
+  
+  const readFilters = () => ({
+    action: body.querySelector('.audit-action').value,
+    query: body.querySelector('.audit-query').value,
+    from: body.querySelector('.audit-from').value,
+    to: body.querySelector('.audit-to').value
+  });
+  body.querySelectorAll('.audit-action, .audit-from, .audit-to').forEach(el => el.addEventListener('change', () => openAuditViewer(readFilters())));
+  body.querySelector('.audit-query').addEventListener('keypress', e => { if (e.key === 'Enter') openAuditViewer(readFilters()); });
+}
+
+// Count Sessions
+// A session groups the scans of one stock count; every scan also carries the
+// location it was counted at. Scans only merge within the same session and location.
+function locationKey(loc) {
+  return loc ? [loc.branch, loc.aisle, loc.shelf].map(v => v || '').join('/') : '//';
+}
+
+function formatLocation(loc) {
+  return loc ? [loc.branch, loc.aisle, loc.shelf].filter(Boolean).join(' › ') : '';
+}
+
+// Stock as last counted: for each GTIN at each location only the newest
+// session's lines stand, so a recount replaces the previous count instead of
+// adding to it, and a batch missing from the recount is gone. Lines that
+// several devices counted in that session are all kept.
+function latestCounts(entries = State.history) {
+  const groups = new Map();
+  entries.forEach(e => {
+    const key = `${e.gtin14}|${locationKey(e.location)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  });
+  return [...groups.values()].flatMap(lines => {
+    const newest = lines.reduce((a, b) => (b.scanTime || '') > (a.scanTime || '') ? b : a);
+    return lines.filter(e => (e.sessionId ?? null) === (newest.sessionId ?? null));
+  });
+}
+
+async function loadSessions() {
+  State.sessions = (await DB.getAll('sessions')).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  State.activeSession = State.sessions.find(s => s.status === 'open') || null;
+  const loc = await DB.get('settings', 'currentLocation');
+  State.location = loc?.value || { branch: '', aisle: '', shelf: '' };
+  renderSessionBar();
+}
+
+async function setLocation(loc) {
+  State.location = { branch: loc.branch || '', aisle: loc.aisle || '', shelf: loc.shelf || '' };
+  await DB.put('settings', { key: 'currentLocation', value: State.location });
+  renderSessionBar();
+}
+
+async function startSession(name) {
+  if (State.activeSession) { showToast('Close the open session first', 'warning'); return; }
+  const session = {
+    name,
+    status: 'open',
+    branch: State.location.branch,
+    startedAt: new Date().toISOString(),
+    startedBy: activeUser()?.name || '',
+    closedAt: null,
+    summary: null
+  };
+  session.id = await DB.put('sessions', Sync.touch(session));
+  await Audit.log('session', { target: session.id, after: { name, status: 'open' } });
+  await Sync.queue('sessions', 'put', [session]);
+  await loadSessions();
+  showToast(`Session "${name}" started`, 'success');
+}
+
+// Units, status breakdown and value at risk (qty × master price for anything not ok)
+function summarizeEntries(entries) {
+  const summary = { entries: entries.length, units: 0, byStatus: {}, atRiskUnits: 0, valueAtRisk: 0, unpricedAtRisk: 0, locations: 0 };
+  const locations = new Set();
+  entries.forEach(e => {
+    const qty = e.qty || 1, status = e.expiryStatus || 'missing';
+    summary.units += qty;
+    summary.byStatus[status] = (summary.byStatus[status] || 0) + qty;
+    locations.add(locationKey(e.location));
+    if (status === 'ok' || status === 'missing') return;
+    summary.atRiskUnits += qty;
+    const price = State.masterData.get(e.gtin14)?.price;
+    if (price != null) summary.valueAtRisk += qty * price;
+    else summary.unpricedAtRisk += qty;
+  });
+  summary.valueAtRisk = Math.round(summary.valueAtRisk * 100) / 100;
+  summary.locations = locations.size;
+  return summary;
+}
+
+async function closeSession() {
+  const session = State.activeSession;
+  if (!session) return;
+  const entries = (await DB.getAllByIndex('history', 'sessionId', session.id)).map(refreshExpiryStatus);
+  session.status = 'closed';
+  session.closedAt = new Date().toISOString();
+  session.closedBy = activeUser()?.name || '';
+  session.summary = summarizeEntries(entries);
+  await DB.put('sessions', Sync.touch(session));
+  await Audit.log('session', { target: session.id, after: { name: session.name, status: 'closed', summary: session.summary } });
+  await Sync.queue('sessions', 'put', [session]);
+  await loadSessions();
+  openSessionReport(session.id);
+}
+
+// Aggregated qty per GTIN+batch, so counts from different shelves compare as one
+function sessionTotals(entries) {
+  const totals = new Map();
+  entries.forEach(e => {
+    const key = `${e.gtin14}|${e.batch || ''}`;
+    const t = totals.get(key) || { gtin14: e.gtin14, batch: e.batch || '', name: e.name, qty: 0 };
+    t.qty += e.qty || 1;
+    totals.set(key, t);
+  });
+  return totals;
+}
+
+function compareSessionTotals(a, b) {
+  const result = { added: [], removed: [], changed: [] };
+  b.forEach((t, key) => {
+    const old = a.get(key);
+    if (!old) result.added.push(t);
+    else if (old.qty !== t.qty) result.changed.push({ ...t, before: old.qty });
+  });
+  a.forEach((t, key) => { if (!b.has(key)) result.removed.push(t); });
+  return result;
+}
+
+function formatMoney(value) {
+  return value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function sessionSummaryHTML(sum) {
+  return `
+    <p class="import-summary">${sum.entries} lines • ${sum.units} units • ${sum.locations} location${sum.locations === 1 ? '' : 's'}</p>
+    ${Object.entries(sum.byStatus).map(([st, n]) => `<p><span class="item-badge badge-${statusStyle(st)}">${statusLabel(st)}</span> ${n}</p>`).join('')}
+    <p class="import-summary">At risk: ${sum.atRiskUnits} units • value ${formatMoney(sum.valueAtRisk)}${sum.unpricedAtRisk ? ` (+${sum.unpricedAtRisk} units without price)` : ''}</p>
+  `;
+}
+
+async function openSessionReport(id) {
+  const session = State.sessions.find(s => s.id === id);
+  if (!session) return;
+  const entries = (await DB.getAllByIndex('history', 'sessionId', id)).map(refreshExpiryStatus);
+  const sum = session.summary || summarizeEntries(entries);
+  const byLocation = new Map();
+  entries.forEach(e => {
+    const key = formatLocation(e.location) || 'No location';
+    byLocation.set(key, (byLocation.get(key) || 0) + (e.qty || 1));
+  });
+  openSheet(session.name, `
+    <p>${new Date(session.startedAt).toLocaleString()}${session.closedAt ? ` – ${new Date(session.closedAt).toLocaleString()}` : ' • open'}</p>
+    ${sessionSummaryHTML(sum)}
+    <h4>By location</h4>
+    ${[...byLocation].map(([loc, n]) => `<p>${escapeHtml(loc)}: ${n}</p>`).join('')}
+    <h4>Not OK</h4>
+    ${entries.filter(e => !['ok', 'missing'].includes(e.expiryStatus)).map(createHistoryItemHTML).join('') || '<p class="empty-text">None</p>'}
+  `);
+}
+
+async function openSessionCompare(idA, idB) {
+  const [a, b] = [idA, idB].map(id => State.sessions.find(s => s.id === id));
+  const diff = compareSessionTotals(
+    sessionTotals(await DB.getAllByIndex('history', 'sessionId', idA)),
+    sessionTotals(await DB.getAllByIndex('history', 'sessionId', idB))
+  );
+  const line = t => `<p>${escapeHtml(t.name)}${t.batch ? ` • ${escapeHtml(t.batch)}` : ''} — ${t.before !== undefined ? `${t.before} → ` : ''}${t.qty}</p>`;
+  openSheet(`${a.name} → ${b.name}`, `
+    <h4>Added (${diff.added.length})</h4>${diff.added.map(line).join('') || '<p class="empty-text">None</p>'}
+    <h4>Removed (${diff.removed.length})</h4>${diff.removed.map(line).join('') || '<p class="empty-text">None</p>'}
+    <h4>Quantity changed (${diff.changed.length})</h4>${diff.changed.map(line).join('') || '<p class="empty-text">None</p>'}
+  `);
+}
+
+function openSessions() {
+  const active = State.activeSession;
+  const closed = State.sessions.filter(s => s.status === 'closed');
+  const loc = State.location;
+  const options = closed.map(s => `<option value="${s.id}">${escapeHtml(s.name)} (${new Date(s.startedAt).toLocaleDateString()})</option>`).join('');
+  const body = openSheet('Count Sessions', `
+    ${active
+      ? `<p class="import-summary">Open: ${escapeHtml(active.name)} since ${new Date(active.startedAt).toLocaleString()}</p>
+         <button class="btn btn-secondary session-report" data-id="${active.id}">Progress</button>
+         <button class="btn btn-primary session-close">Close Session</button>`
+      : `<label class="form-label">New session<input class="form-input session-name" placeholder="e.g. March expiry audit"></label>
+         <button class="btn btn-primary session-start">Start Session</button>`}
+    <h4>Location</h4>
+    <label class="form-label">Branch<input class="form-input loc-branch" value="${escapeHtml(loc.branch)}"></label>
+    <label class="form-label">Aisle<input class="form-input loc-aisle" value="${escapeHtml(loc.aisle)}"></label>
+    <label class="form-label">Shelf<input class="form-input loc-shelf" value="${escapeHtml(loc.shelf)}"></label>
+    <button class="btn btn-secondary loc-save">Set Location</button>
+    <h4>Closed sessions</h4>
+    ${closed.map(s => `
+      <div class="history-item session-item" data-id="${s.id}">
+        <div class="item-info">
+          <div class="item-name">${escapeHtml(s.name)}</div>
+          <div class="item-details">${new Date(s.startedAt).toLocaleDateString()}${s.summary ? ` • ${s.summary.units} units • ${s.summary.atRiskUnits} at risk` : ''}</div>
+        </div>
+      </div>`).join('') || '<p class="empty-text">None</p>'}
+    ${closed.length > 1 ? `
+      <h4>Compare</h4>
+      <select class="form-input cmp-a">${options}</select>
+      <select class="form-input cmp-b">${options}</select>
+      <button class="btn btn-secondary cmp-go">Compare</button>` : ''}
+  `);
+  
+  body.querySelector('.session-start')?.addEventListener('click', async () => {
+    const name = body.querySelector('.session-name').value.trim();
+    if (!name) { showToast('Name the session', 'warning'); return; }
+    await startSession(name);
+    openSessions();
+  });
+  body.querySelector('.session-close')?.addEventListener('click', () => {
+    showConfirm('Close Session', `Close "${active.name}"? New scans will no longer be added to it.`, closeSession);
+  });
+  body.querySelector('.session-report')?.addEventListener('click', () => openSessionReport(active.id));
+  body.querySelector('.loc-save').addEventListener('click', async () => {
+    await setLocation({ branch: body.querySelector('.loc-branch').value.trim(), aisle: body.querySelector('.loc-aisle').value.trim(), shelf: body.querySelector('.loc-shelf').value.trim() });
+    showToast('Location set', 'success');
+  });
+  body.querySelectorAll('.session-item').forEach(el => el.addEventListener('click', e => { e.stopPropagation(); openSessionReport(+el.dataset.id); }));
+  if (closed.length > 1) {
+    body.querySelector('.cmp-a').selectedIndex = 1;
+    body.querySelector('.cmp-b').selectedIndex = 0;
+  }
+  body.querySelector('.cmp-go')?.addEventListener('click', () => {
+    const a = +body.querySelector('.cmp-a').value, b = +body.querySelector('.cmp-b').value;
+    if (a === b) { showToast('Pick two different sessions', 'warning'); return; }
+    openSessionCompare(a, b);
+  });
+}
+
+// Active session and location, shown above the scanner button
+function renderSessionBar() {
+  let bar = document.getElementById('sessionBar');
+  if (!bar) {
+    const anchor = document.getElementById('btnScanner');
+    if (!anchor) return;
+    bar = document.createElement('div');
+    bar.id = 'sessionBar';
+    bar.className = 'session-bar';
+    bar.addEventListener('click', openSessions);
+    anchor.before(bar);
+  }
+  const parts = [State.pickMode && 'Pick mode', State.activeSession ? `Session: ${State.activeSession.name}` : 'No session', formatLocation(State.location)].filter(Boolean);
+  bar.textContent = parts.join(' • ');
+}
+
+// Backup & Restore
+// A backup holds every object store, AES-GCM encrypted under a passphrase key.
+// Older backups are written into a scratch database at their schemaVersion and
+// reopened at DB.version, so DB.upgrade migrates them like a live database.
+const BACKUP_FORMAT = 'oasis-pharmacy-backup';
+const RESTORE_MODES = { merge: 'Merge into this device', replace: 'Replace everything on this device' };
+const RESTORE_PREFER = { local: 'Keep this device on conflicts', backup: 'Take the backup on conflicts' };
+// Records in these stores are the same record when the identity matches, whatever their id
+const RESTORE_IDENTITY = { sessions: s => s.startedAt, users: u => u.name?.toLowerCase() };
+// Work queues for this device only; a restore leaves them as they are
+const DEVICE_STORES = ['outbox', 'lookupQueue'];
+// Never written by a restore. The audit chain only grows: rolling it back to
+// a backup would erase everything logged since without breaking the chain.
+const RESTORE_SKIP = [...DEVICE_STORES, 'audit'];
+
+async function backupKey(passphrase, salt, iterations) {
+  const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+function readAllStores(db) {
+  const names = [...db.objectStoreNames];
+  const tx = db.transaction(names, 'readonly');
+  return Promise.all(names.map(n => new Promise((resolve, reject) => {
+    const req = tx.objectStore(n).getAll();
+    req.onsuccess = () => resolve([n, req.result]);
+    req.onerror = () => reject(req.error);
+  }))).then(Object.fromEntries);
+}
+
+// Stores missing from this schema are ignored; clear empties the listed stores first
+function writeStores(db, stores, clear = []) {
+  const names = [...new Set([...clear, ...Object.keys(stores)])].filter(n => db.objectStoreNames.contains(n));
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, 'readwrite');
+    names.forEach(n => {
+      const os = tx.objectStore(n);
+      if (clear.includes(n)) os.clear();
+      (stores[n] || []).forEach(r => os.put(r));
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function createBackup(passphrase) {
+  const payload = { schemaVersion: DB.version, createdAt: new Date().toISOString(), stores: await readAllStores(DB.instance) };
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await backupKey(passphrase, salt, CONFIG.BACKUP_ITERATIONS);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(payload)));
+  return {
+    format: BACKUP_FORMAT,
+    version: 1,
+    schemaVersion: DB.version,
+    createdAt: payload.createdAt,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: CONFIG.BACKUP_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(data)
+  };
+}
+
+// → { schemaVersion, createdAt, stores }; throws on a wrong passphrase or damaged file
+async function openBackup(file, passphrase) {
+  const key = await backupKey(passphrase, fromBase64(file.kdf.salt), file.kdf.iterations);
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(file.cipher.iv) }, key, fromBase64(file.data));
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+async function migrateBackup(payload) {
+  if (payload.schemaVersion === DB.version) return payload.stores;
+  if (!(payload.schemaVersion >= 1 && payload.schemaVersion < DB.version)) throw new Error(`Backup schema ${payload.schemaVersion} is newer than this app`);
+  const name = `${DB.name}-restore`;
+  await DB.drop(name);
+  try {
+    let db = await DB.open(name, payload.schemaVersion);
+    await writeStores(db, payload.stores);
+    db.close();
+    db = await DB.open(name, DB.version);
+    const stores = await readAllStores(db);
+    db.close();
+    return stores;
+  } finally {
+    await DB.drop(name);
+  }
+}
+
+// Merge rules:
+// - master, settings and other keyed stores: same key, different record → preferred side wins
+// - sessions and users: matched by start time / name; an id taken by a different record
+//   moves the backup record to a new id
+// - history: lines with the same gtinBatch, session and location are one count line; the
+//   preferred side's line wins and serial lists are united. A clashing id gets a new id.
+// - audit: the local chain stays as it is
+function planRestoreMerge(local, backup, prefer) {
+  const plan = { stores: {}, counts: {} };
+  const same = (a, b) => canonicalJSON(a) === canonicalJSON(b);
+  const tally = (store, what) => {
+    plan.counts[store] ||= { added: 0, updated: 0, kept: 0 };
+    plan.counts[store][what]++;
+  };
+  const put = (store, record) => (plan.stores[store] ||= []).push(record);
+  const nextId = (...lists) => Math.max(0, ...lists.flat().map(r => r.id).filter(Number.isFinite)) + 1;
+  const remap = { sessions: new Map() };
+
+  Object.keys(backup).forEach(store => {
+    if (store === 'history' || RESTORE_SKIP.includes(store) || !DB.instance.objectStoreNames.contains(store)) return;
+    const keyPath = DB.instance.transaction(store).objectStore(store).keyPath;
+    const localByKey = new Map((local[store] || []).map(r => [r[keyPath], r]));
+    const identity = RESTORE_IDENTITY[store];
+    const localByIdentity = identity && new Map((local[store] || []).map(r => [identity(r), r]));
+    let next = identity ? nextId(local[store] || [], backup[store]) : 0;
+    backup[store].forEach(orig => {
+      let r = orig, mine = localByKey.get(r[keyPath]);
+      if (identity) {
+        // Follow the twin's id, or step aside when the id belongs to someone else
+        const twin = localByIdentity.get(identity(r));
+        if (twin) r = { ...r, [keyPath]: twin[keyPath] };
+        else if (mine) r = { ...r, [keyPath]: next++ };
+        mine = twin;
+        if (r[keyPath] !== orig[keyPath]) remap[store]?.set(orig[keyPath], r[keyPath]);
+      }
+      if (!mine) {
+        put(store, r);
+        tally(store, 'added');
+      } else if (same(mine, r) || prefer === 'local') {
+        tally(store, 'kept');
+      } else {
+        put(store, r);
+        tally(store, 'updated');
+      }
+    });
+  });
+
+  const lineKey = e => [e.gtin14, e.batch || '', e.sessionId ?? '', locationKey(e.location)].join('|');
+  const byLine = new Map((local.history || []).map(e => [lineKey(e), e]));
+  const byUid = new Map((local.history || []).filter(e => e.uid).map(e => [e.uid, e]));
+  const localIds = new Set((local.history || []).map(e => e.id));
+  let next = nextId(local.history || [], backup.history || []);
+  (backup.history || []).forEach(raw => {
+    const r = raw.sessionId != null && remap.sessions.has(raw.sessionId) ? { ...raw, sessionId: remap.sessions.get(raw.sessionId) } : raw;
+    const mine = (r.uid && byUid.get(r.uid)) || byLine.get(lineKey(r));
+    if (mine) {
+      const [win, lose] = prefer === 'backup' ? [r, mine] : [mine, r];
+      const packs = new Map([...entrySerials(lose), ...entrySerials(win)].map(p => [p.serial, p]));
+      const merged = { ...win, id: mine.id };
+      if (packs.size) {
+        merged.serials = [...packs.values()];
+        merged.serialKeys = merged.serials.map(p => serialKey(merged.gtin14, p.serial));
+        merged.qty = Math.max(merged.qty || 1, packs.size);
+      }
+      if (same(merged, mine)) { tally('history', 'kept'); return; }
+      byLine.set(lineKey(merged), merged);
+      put('history', merged);
+      tally('history', 'updated');
+      return;
+    }
+    const added = localIds.has(r.id) ? { ...r, id: next++ } : { ...r };
+    if (added.uid && byUid.has(added.uid)) added.uid = crypto.randomUUID();
+    localIds.add(added.id);
+    byLine.set(lineKey(added), added);
+    put('history', added);
+    tally('history', 'added');
+  });
+  return plan;
+}
+
+async function applyRestore(stores, mode, prefer, meta) {
+  let counts;
+  // Device queues, sync identity and the audit head belong to this device, not the backup
+  stores = { ...stores, settings: (stores.settings || []).filter(r => r.key !== 'sync' && r.key !== AUDIT_HEAD_KEY) };
+  if (mode === 'replace') {
+    const rest = Object.fromEntries(Object.entries(stores).filter(([n]) => !RESTORE_SKIP.includes(n)));
+    await writeStores(DB.instance, rest, [...DB.instance.objectStoreNames].filter(n => !RESTORE_SKIP.includes(n)));
+    counts = Object.fromEntries(Object.entries(rest).map(([n, list]) => [n, { added: list.length }]));
+    await saveSyncState();
+    for (const kind of SYNC_KINDS) await Sync.queue(kind, 'put', rest[kind] || []);
+  } else {
+    const plan = planRestoreMerge(await readAllStores(DB.instance), stores, prefer);
+    // A merged history line may replace an earlier write in the same plan; last one wins
+    await writeStores(DB.instance, plan.stores);
+    counts = plan.counts;
+    for (const kind of SYNC_KINDS) await Sync.queue(kind, 'put', plan.stores[kind] || []);
+  }
+  // The backup's own chain is recorded by its head, not merged into ours
+  const head = (stores.audit || []).reduce((a, r) => (!a || r.seq > a.seq ? r : a), null);
+  const backupAudit = head ? { records: stores.audit.length, seq: head.seq, hash: head.hash } : null;
+  await Audit.log('restore', { target: meta.createdAt, after: { mode, prefer: mode === 'merge' ? prefer : null, schemaVersion: meta.schemaVersion, counts, backupAudit } });
+  await loadUsers();
+  if (State.currentUser && !State.users.some(u => u.id === State.currentUser.id)) signOut();
+  await loadSettings();
+  await loadMasterData();
+  await loadSessions();
+  await loadHistory();
+  return counts;
+}
+
+async function backupNow(passphrase) {
+  try {
+    const file = await createBackup(passphrase);
+    downloadFile(JSON.stringify(file), 'application/json', `pharmacy-backup-${exportStamp()}.json`);
+    State.backup.lastBackup = file.createdAt;
+    await DB.put('settings', { key: 'backup', value: State.backup });
+    showToast('Backup saved', 'success');
+  } catch (err) {
+    console.error('Backup failed:', err);
+    showToast('Backup failed', 'error');
+  }
+}
+
+function openBackups() {
+  const { lastBackup, remindDays } = State.backup;
+  const body = openSheet('Backup & Restore', `
+    <p>${lastBackup ? `Last backup ${new Date(lastBackup).toLocaleString()}` : 'No backup made on this device yet'}</p>
+    <label class="form-label">Passphrase<input class="form-input backup-pass" type="password" autocomplete="new-password"></label>
+    <label class="form-label">Repeat passphrase<input class="form-input backup-pass2" type="password" autocomplete="new-password"></label>
+    <label class="form-label">Remind me to back up<select class="form-input backup-remind">
+      ${[0, 1, 7, 14, 30].map(d => `<option value="${d}"${d === (remindDays || 0) ? ' selected' : ''}>${d ? `Every ${d} day${d === 1 ? '' : 's'}` : 'Never'}</option>`).join('')}
+    </select></label>
+    <p class="empty-text">The passphrase is not stored anywhere. Without it the backup cannot be opened.</p>
+  `, [
+    { label: 'Restore…', onClick: () => pickFile('.json,application/json', openRestore) },
+    { label: 'Back Up', primary: true, onClick: async () => {
+      const pass = body.querySelector('.backup-pass').value;
+      if (pass.length < 8) { showToast('Use at least 8 characters', 'warning'); return; }
+      if (pass !== body.querySelector('.backup-pass2').value) { showToast('Passphrases do not match', 'warning'); return; }
+      State.backup.remindDays = parseInt(body.querySelector('.backup-remind').value, 10) || 0;
+      closeSheet();
+      await backupNow(pass);
+    } }
+  ], async () => {
+    const remind = parseInt(body.querySelector('.backup-remind').value, 10) || 0;
+    if (remind === (State.backup.remindDays || 0)) return;
+    State.backup.remindDays = remind;
+    await DB.put('settings', { key: 'backup', value: State.backup });
+  });
+}
+
+function openRestore(text) {
+  let file;
+  try { file = JSON.parse(text); } catch { file = null; }
+  if (file?.format !== BACKUP_FORMAT) { showToast('Not a backup file', 'error'); return; }
+  const body = openSheet('Restore Backup', `
+    <p>Backup from ${new Date(file.createdAt).toLocaleString()} (schema v${file.schemaVersion})</p>
+    <label class="form-label">Passphrase<input class="form-input restore-pass" type="password" autocomplete="off"></label>
+  `, [
+    { label: 'Unlock', primary: true, onClick: async () => {
+      let payload, stores;
+      try {
+        payload = await openBackup(file, body.querySelector('.restore-pass').value);
+      } catch (err) {
+        showToast('Wrong passphrase or damaged file', 'error');
+        return;
+      }
+      try {
+        stores = await migrateBackup(payload);
+      } catch (err) {
+        console.error('Backup migration failed:', err);
+        showToast(err.message || 'Could not read this backup', 'error');
+        return;
+      }
+      openRestorePlan(stores, payload);
+    } }
+  ]);
+}
+
+function openRestorePlan(stores, meta) {
+  const body = openSheet('Restore Backup', `
+    <p>Backup from ${new Date(meta.createdAt).toLocaleString()}</p>
+    ${Object.entries(stores).map(([n, list]) => `<p>${escapeHtml(n)}: ${list.length} records</p>`).join('')}
+    <label class="form-label">Mode<select class="form-input restore-mode">
+      ${Object.entries(RESTORE_MODES).map(([k, label]) => `<option value="${k}">${label}</option>`).join('')}
+    </select></label>
+    <label class="form-label">Conflicts<select class="form-input restore-prefer">
+      ${Object.entries(RESTORE_PREFER).map(([k, label]) => `<option value="${k}">${label}</option>`).join('')}
+    </select></label>
+  `, [
+    { label: 'Restore', primary: true, onClick: () => {
+      const mode = body.querySelector('.restore-mode').value;
+      const prefer = body.querySelector('.restore-prefer').value;
+      const run = async () => {
+        try {
+          const counts = await applyRestore(stores, mode, prefer, meta);
+          const changed = Object.values(counts).reduce((n, c) => n + (c.added || 0) + (c.updated || 0), 0);
+          closeSheet();
+          showToast(`Restored ${changed} records`, 'success');
+        } catch (err) {
+          console.error('Restore failed:', err);
+          showToast('Restore failed', 'error');
+        }
+      };
+      if (mode === 'replace') showConfirm('Replace All', 'Everything on this device will be replaced by the backup. The audit log is kept and records the restore.', run);
+      else run();
+    } }
+  ]);
+}
+
+function checkBackupReminder() {
+  const { remindDays, lastBackup } = State.backup;
+  if (!remindDays || !State.history.length) return;
+  const age = lastBackup ? (Date.now() - new Date(lastBackup)) / 86400000 : Infinity;
+  if (age < remindDays) return;
+  openSheet('Backup Due', `<p>${lastBackup ? `The last backup was ${Math.floor(age)} days ago.` : 'This device has never been backed up.'}</p>`, [
+    { label: 'Back Up Now', primary: true, onClick: () => requirePermission('backup', openBackups) }
+  ]);
+}
+
+// Sync
+// Optional multi-device sync. Local writes to history and sessions leave a row
+// in the outbox; a run pushes the outbox, pulls other devices' changes and any
+// head-office master push. Records travel by uid, never by local id.
+//
+// Conflicts are settled the same way on every device:
+// - each device merges scans only into lines it created, so two phones counting
+//   the same GTIN+batch keep separate lines and totals are their sum
+// - when two devices edit the same line, the later updatedAt wins, ties going to
+//   the higher device id; deletes follow the same rule through tombstones
+//
+// Transport contract (see sync-mock-server.js for a reference server):
+//   push(changes) → { accepted }
+//   pull(cursor)  → { changes, cursor }
+//   master(version) → { version, mode, items } | { version }
+const SYNC_KINDS = ['history', 'sessions'];
+const SYNC_BATCH = 100;
+const SYNC_TOMBSTONE_DAYS = 90;
+
+function restTransport({ endpoint, token }) {
+  const call = async (path, opts = {}) => {
+    const res = await fetch(`${endpoint.replace(/\/+$/, '')}${path}`, {
+      ...opts,
+      // no-store also keeps sw.js from answering with a cached copy
+      cache: 'no-store',
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) }
+    });
+    if (!res.ok) throw new Error(`Sync server replied ${res.status}`);
+    return res.json();
+  };
+  return {
+    push: changes => call('/changes', { method: 'POST', body: JSON.stringify({ device: State.sync.deviceId, changes }) }),
+    pull: cursor => call(`/changes?since=${encodeURIComponent(cursor ?? '')}&device=${encodeURIComponent(State.sync.deviceId)}`),
+    master: version => call(`/master?since=${encodeURIComponent(version ?? '')}`)
+  };
 }
 
-async function processScan(code) {
-  const parsed = parseGS1(code);
-  if (!parsed.valid) { showToast('Invalid barcode', 'error'); Haptic.error(); return; }
-  
-  const match = matchProduct(parsed.gtin14);
-  let name = match.product?.name || '';
-  
-  if (!name && State.apiLookupEnabled) {
-    showToast('Looking up...', 'info');
-    const api = await lookupProductAPI(parsed.gtin14);
-    if (api) name = api.name;
+// Later write wins; equal times fall back to device id so every device picks the same one
+function isNewer(a, b) {
+  const ta = a.updatedAt || '', tb = b.updatedAt || '';
+  return ta > tb || (ta === tb && (a.updatedBy || '') > (b.updatedBy || ''));
+}
+
+const Sync = {
+  transport: null,
+  running: false,
+  timer: null,
+  debounce: null,
+
+  // Marks a record as changed here; call before writing it
+  touch(record) {
+    record.uid ||= crypto.randomUUID();
+    record.origin ||= State.sync.deviceId;
+    record.updatedAt = new Date().toISOString();
+    record.updatedBy = State.sync.deviceId;
+    return record;
+  },
+
+  // Queues records for the next push; a no-op while sync is off. The local
+  // write has already happened, so a failure here is reported, not thrown.
+  async queue(kind, op, records) {
+    if (!State.sync.enabled) return;
+    const time = new Date().toISOString();
+    try {
+      await DB.bulk('outbox', { put: records.filter(r => r?.uid).map(r => ({ kind, op, uid: r.uid, time })) });
+    } catch (err) {
+      console.error('Sync queue failed:', err);
+      State.sync.lastError = 'Some changes could not be queued for sync';
+      showToast('Saved on this device, but not queued for sync', 'warning');
+      return;
+    }
+    if (op === 'delete') records.forEach(r => { if (r?.uid) State.sync.tombstones[r.uid] = time; });
+    clearTimeout(this.debounce);
+    this.debounce = setTimeout(() => this.run(), 2000);
+  },
+
+  configure() {
+    const { enabled, endpoint } = State.sync;
+    this.transport = enabled && endpoint ? restTransport(State.sync) : null;
+    clearInterval(this.timer);
+    if (this.transport) this.timer = setInterval(() => this.run(), CONFIG.SYNC_INTERVAL);
+  },
+
+  async run() {
+    if (!this.transport || this.running || !navigator.onLine) return;
+    this.running = true;
+    try {
+      await this.push();
+      const pulled = await this.pull();
+      await this.pullMaster();
+      State.sync.lastSync = new Date().toISOString();
+      State.sync.lastError = '';
+      if (pulled) { await loadSessions(); await loadHistory(); }
+    } catch (err) {
+      console.error('Sync failed:', err);
+      State.sync.lastError = err.message;
+    } finally {
+      this.running = false;
+      await saveSyncState();
+    }
+  },
+
+  async push() {
+    const rows = await DB.getAll('outbox');
+    for (let i = 0; i < rows.length; i += SYNC_BATCH) {
+      const batch = rows.slice(i, i + SYNC_BATCH);
+      // Only the latest op per record matters; puts send the record as it is now
+      const latest = new Map(batch.map(r => [`${r.kind}|${r.uid}`, r]));
+      const changes = [];
+      for (const r of latest.values()) {
+        if (r.op === 'delete') {
+          changes.push({ kind: r.kind, op: 'delete', uid: r.uid, updatedAt: r.time, updatedBy: State.sync.deviceId });
+          continue;
+        }
+        const [record] = await DB.getAllByIndex(r.kind, 'uid', r.uid);
+        if (record) changes.push({ kind: r.kind, op: 'put', uid: r.uid, updatedAt: record.updatedAt, updatedBy: record.updatedBy, record: toSyncRecord(r.kind, record) });
+      }
+      if (changes.length) await this.transport.push(changes);
+      await DB.bulk('outbox', { remove: batch.map(r => r.seq) });
+    }
+  },
+
+  // → number of changes applied
+  async pull() {
+    let applied = 0;
+    for (;;) {
+      const { changes = [], cursor } = await this.transport.pull(State.sync.cursor);
+      // Sessions first so history lines can find theirs
+      const ordered = [...changes].sort((a, b) => SYNC_KINDS.indexOf(b.kind) - SYNC_KINDS.indexOf(a.kind));
+      for (const change of ordered) {
+        if (change.updatedBy === State.sync.deviceId || !SYNC_KINDS.includes(change.kind)) continue;
+        if (await applySyncChange(change)) applied++;
+      }
+      if (cursor == null || cursor === State.sync.cursor) break;
+      State.sync.cursor = cursor;
+      if (!changes.length) break;
+    }
+    return applied;
+  },
+
+  async pullMaster() {
+    const push = await this.transport.master(State.sync.masterVersion);
+    if (!push || push.version == null || push.version === State.sync.masterVersion) return;
+    if (push.items?.length) {
+      // Same validation as a file import; the pushed objects stand in for CSV rows
+      const fields = Object.keys(MASTER_COLUMNS);
+      const rows = push.items.map(it => fields.map(f => Array.isArray(it[f]) ? it[f].join('|') : String(it[f] ?? '')));
+      const { items } = mapMasterRows(rows, Object.fromEntries(fields.map((f, i) => [f, i])), { requireName: push.mode !== 'delete' });
+      await commitMasterImport(planMasterImport(items, push.mode || 'merge'));
+    }
+    State.sync.masterVersion = push.version;
   }
-  
-  const entry = {
-    gtin14: parsed.gtin14,
-    gtin13: parsed.gtin13,
-    name: name || `Unknown (${parsed.gtin14.slice(-8)})`,
-    expiry: parsed.expiry,
-    expiryFormatted: parsed.expiryFormatted,
-    expiryStatus: parsed.expiryStatus,
-    batch: parsed.batch,
-    serial: parsed.serial,
-    qty: parsed.qty || 1,
-    matchType: match.matchType,
-    scanTime: new Date().toISOString(),
-    raw: code
-  };
-  
-  await addToHistory(entry);
+};
+
+// Local ids and derived fields stay behind; sessions travel by uid
+function toSyncRecord(kind, record) {
+  const { id, expiryStatus, ...rest } = record;
+  if (kind === 'history') rest.sessionUid = State.sessions.find(s => s.id === record.sessionId)?.uid || null;
+  return rest;
 }
 
-// PIN
-function isPinValid() { return (Date.now() - State.lastPinSuccess) < CONFIG.PIN_TIMEOUT; }
+async function applySyncChange(change) {
+  const [local] = await DB.getAllByIndex(change.kind, 'uid', change.uid);
+  const tomb = State.sync.tombstones[change.uid];
 
-function requirePin(callback) {
-  if (isPinValid()) { callback(); return; }
-  State.pinCallback = callback;
-  State.pinInput = '';
-  updatePinDots();
-  document.getElementById('pinError').classList.remove('show');
-  document.getElementById('pinModal').classList.add('show');
+  if (change.op === 'delete') {
+    if (!tomb || change.updatedAt > tomb) State.sync.tombstones[change.uid] = change.updatedAt;
+    if (!local || isNewer(local, change)) return false;
+    await DB.delete(change.kind, local.id);
+    return true;
+  }
+
+  if (tomb && tomb >= change.updatedAt) return false;
+  if (local && !isNewer(change, local)) return false;
+  const { sessionUid, ...record } = change.record;
+  if (change.kind === 'history') {
+    const [session] = sessionUid ? await DB.getAllByIndex('sessions', 'uid', sessionUid) : [];
+    record.sessionId = session?.id ?? null;
+  }
+  if (local) record.id = local.id;
+  await DB.put(change.kind, change.kind === 'history' ? refreshExpiryStatus(record) : record);
+  return true;
 }
 
-function onPinKey(key) {
-  if (key === 'back') State.pinInput = State.pinInput.slice(0, -1);
-  else if (key && State.pinInput.length < 4) State.pinInput += key;
-  updatePinDots();
-  Haptic.light();
-  if (State.pinInput.length === 4) verifyPin();
+async function loadSyncState() {
+  const saved = (await DB.get('settings', 'sync'))?.value || {};
+  State.sync = { enabled: false, endpoint: '', token: '', cursor: null, masterVersion: null, lastSync: null, lastError: '', tombstones: {}, ...saved };
+  if (!State.sync.deviceId) {
+    State.sync.deviceId = crypto.randomUUID();
+    await saveSyncState();
+  }
+  Sync.configure();
 }
 
-function updatePinDots() {
-  document.querySelectorAll('.pin-dot').forEach((d, i) => d.classList.toggle('filled', i < State.pinInput.length));
+async function saveSyncState() {
+  const cutoff = new Date(Date.now() - SYNC_TOMBSTONE_DAYS * 86400000).toISOString();
+  Object.entries(State.sync.tombstones).forEach(([uid, time]) => { if (time < cutoff) delete State.sync.tombstones[uid]; });
+  await DB.put('settings', { key: 'sync', value: State.sync });
 }
 
-function verifyPin() {
-  if (State.pinInput === CONFIG.PIN) {
-    State.lastPinSuccess = Date.now();
-    document.getElementById('pinModal').classList.remove('show');
-    Haptic.success();
-    if (State.pinCallback) { State.pinCallback(); State.pinCallback = null; }
-  } else {
-    document.getElementById('pinError').classList.add('show');
-    State.pinInput = '';
-    updatePinDots();
-    Haptic.error();
+// Everything already on the device goes up once when sync is first switched on
+async function seedOutbox() {
+  for (const kind of SYNC_KINDS) {
+    const records = await DB.getAll(kind);
+    const missing = records.filter(r => !r.uid || !r.origin);
+    if (missing.length) await DB.bulk(kind, { put: missing.map(r => ({ ...r, uid: r.uid || crypto.randomUUID(), origin: r.origin || State.sync.deviceId })) });
+    await Sync.queue(kind, 'put', await DB.getAll(kind));
   }
 }
 
-// Rendering
-function renderRecentScans() {
-  const container = document.getElementById('recentScans');
-  const empty = document.getElementById('emptyRecent');
-  const recent = State.history.slice(0, CONFIG.MAX_RECENT_SCANS);
+async function openSyncSettings() {
+  const s = State.sync;
+  const oldEndpoint = s.endpoint;
+  const pending = (await DB.getAll('outbox')).length;
+  const body = openSheet('Sync', `
+    <label class="form-label"><input type="checkbox" class="sync-enabled"${s.enabled ? ' checked' : ''}> Sync with other devices</label>
+    <label class="form-label">Server URL<input class="form-input sync-endpoint" type="url" placeholder="https://…/api/sync" value="${escapeHtml(s.endpoint)}"></label>
+    <label class="form-label">Access token<input class="form-input sync-token" type="password" autocomplete="off" value="${escapeHtml(s.token)}"></label>
+    <p class="empty-text">Device ${escapeHtml(s.deviceId.slice(0, 8))} • ${pending} change${pending === 1 ? '' : 's'} waiting</p>
+    <p class="empty-text">${s.lastSync ? `Last sync ${new Date(s.lastSync).toLocaleString()}` : 'Never synced'}${s.lastError ? ` • ${escapeHtml(s.lastError)}` : ''}</p>
+  `, [
+    { label: 'Sync Now', onClick: async () => {
+      if (!Sync.transport) { showToast('Sync is off', 'warning'); return; }
+      if (!navigator.onLine) { showToast('Offline — changes will sync later', 'info'); return; }
+      await Sync.run();
+      showToast(State.sync.lastError ? 'Sync failed' : 'Synced', State.sync.lastError ? 'error' : 'success');
+      openSyncSettings();
+    } },
+    { label: 'Save', primary: true, onClick: async () => {
+      const enabled = body.querySelector('.sync-enabled').checked;
+      const endpoint = body.querySelector('.sync-endpoint').value.trim();
+      if (enabled && !/^https?:\/\//.test(endpoint)) { showToast('Enter the server URL', 'warning'); return; }
+      const switchedOn = enabled && !s.enabled;
+      Object.assign(s, { enabled, endpoint, token: body.querySelector('.sync-token').value.trim() });
+      if (endpoint !== oldEndpoint) Object.assign(s, { cursor: null, masterVersion: null });
+      await saveSyncState();
+      Sync.configure();
+      if (switchedOn) await seedOutbox();
+      closeSheet();
+      showToast('Sync settings saved', 'success');
+      Sync.run();
+    } }
+  ]);
+}
+
+// Dashboard
+// Aggregates come straight from State.history; every bar keeps the entry ids
+// behind it so a tap opens exactly those lines in history.
+let dashboardBuckets = new Map();
+
+function ensureDashboardPage() {
+  if (document.getElementById('page-dashboard')) return;
+  const home = document.getElementById('page-home');
+  const navRef = document.querySelector('.nav-btn[data-page="home"]');
+  if (!home || !navRef) return;
   
-  if (recent.length === 0) {
-    empty.style.display = 'block';
-    container.innerHTML = '';
-    container.appendChild(empty);
-    return;
-  }
+  const page = document.createElement('div');
+  page.id = 'page-dashboard';
+  page.className = 'page';
+  page.addEventListener('click', e => {
+    const bar = e.target.closest('[data-bucket]');
+    const bucket = bar && dashboardBuckets.get(bar.dataset.bucket);
+    if (bucket) showFilteredHistory(bucket.ids, bucket.label);
+  });
+  home.after(page);
   
-  empty.style.display = 'none';
-  container.innerHTML = recent.map(item => createHistoryItemHTML(item)).join('');
+  const nav = navRef.cloneNode(true);
+  nav.classList.remove('active');
+  nav.dataset.page = 'dashboard';
+  (nav.querySelector('span') || nav).textContent = 'Dashboard';
+  navRef.after(nav);
 }
 
-function renderHistory() {
-  const container = document.getElementById('historyList');
-  const empty = document.getElementById('emptyHistory');
-  
-  if (State.filteredHistory.length === 0) {
-    empty.style.display = 'block';
-    container.innerHTML = '';
-    container.appendChild(empty);
-    return;
+function addToBucket(map, key, label, entry, value = 0) {
+  if (!map.has(key)) map.set(key, { label, ids: [], units: 0, value: 0 });
+  const b = map.get(key);
+  b.ids.push(entry.id);
+  b.units += entry.qty || 1;
+  b.value += value;
+  return b;
+}
+
+function dashboardData(entries = latestCounts()) {
+  const now = new Date();
+  const months = new Map();
+  for (let i = 0; i < 12; i++) {
+    const d = new Date(now.getFullYear(), now.getMonth() + i, 1);
+    const key = `month:${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    months.set(key, { label: d.toLocaleDateString(undefined, { month: 'short', year: '2-digit' }), ids: [], units: 0, value: 0 });
   }
+  const suppliers = new Map(), categories = new Map(), products = new Map();
   
-  empty.style.display = 'none';
-  container.innerHTML = State.filteredHistory.map(item => createHistoryItemHTML(item)).join('');
+  entries.forEach(e => {
+    const product = State.masterData.get(e.gtin14);
+    const qty = e.qty || 1;
+    const value = product?.price != null ? qty * product.price : 0;
+    const status = e.expiryStatus;
+    const gov = getGoverningDate(e);
+    if (gov && status !== 'expired') {
+      const key = `month:${gov.iso.slice(0, 7)}`;
+      if (months.has(key)) addToBucket(months, key, months.get(key).label, e, value);
+    }
+    if (status === 'expired') {
+      const supplier = product?.supplier || 'No supplier';
+      const category = product?.category || 'No category';
+      addToBucket(suppliers, `supplier:${supplier}`, supplier, e, value);
+      addToBucket(categories, `category:${category}`, category, e, value);
+    }
+    if (status !== 'ok' && status !== 'missing') {
+      addToBucket(products, `product:${e.gtin14}`, e.name || product?.name || e.gtin14, e, value);
+    }
+  });
+  
+  const ranked = map => [...map.entries()].sort((a, b) => b[1].units - a[1].units);
+  return {
+    months: [...months.entries()],
+    suppliers: ranked(suppliers),
+    categories: ranked(categories),
+    products: [...products.entries()].sort((a, b) => b[1].value - a[1].value || b[1].units - a[1].units).slice(0, 10),
+    summary: summarizeEntries(entries),
+    priced: [...State.masterData.values()].some(p => p.price != null)
+  };
 }
 
-function createHistoryItemHTML(item) {
-  const status = item.expiryStatus || 'ok';
-  const badgeText = status === 'expired' ? 'Expired' : status === 'expiring' ? 'Expiring' : 'OK';
-  return `
-    <div class="history-item ${status}" data-id="${item.id}">
-      <div class="item-icon">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z"/>
-        </svg>
-      </div>
-      <div class="item-info">
-        <div class="item-name">${escapeHtml(item.name || 'Unknown')}</div>
-        <div class="item-details">${item.expiryFormatted || 'No expiry'}${item.batch ? ` • ${item.batch}` : ''}</div>
+// Vertical columns, one per month; drawn as inline SVG so nothing loads from a CDN
+function columnChartSVG(buckets) {
+  const w = 24, gap = 6, h = 120, max = Math.max(1, ...buckets.map(([, b]) => b.units));
+  const cols = buckets.map(([key, b], i) => {
+    const x = i * (w + gap), bh = Math.round((b.units / max) * h);
+    return `<g data-bucket="${escapeHtml(key)}" class="chart-bar">
+      <title>${escapeHtml(b.label)}: ${b.units} units</title>
+      <rect x="${x}" y="${h - bh}" width="${w}" height="${Math.max(bh, 1)}" rx="3" fill="currentColor" opacity="${b.units ? 0.85 : 0.2}"/>
+      <text x="${x + w / 2}" y="${h + 14}" font-size="9" text-anchor="middle" fill="currentColor">${escapeHtml(b.label.split(' ')[0])}</text>
+    </g>`;
+  }).join('');
+  return `<svg class="chart" viewBox="0 0 ${buckets.length * (w + gap)} ${h + 20}" width="100%" role="img">${cols}</svg>`;
+}
+
+function barListHTML(buckets, metric = 'units') {
+  if (!buckets.length) return '<p class="empty-text">Nothing here</p>';
+  const max = Math.max(1, ...buckets.map(([, b]) => b[metric]));
+  return buckets.map(([key, b]) => `
+    <div class="chart-row" data-bucket="${escapeHtml(key)}">
+      <div class="chart-label">${escapeHtml(b.label)} <span>${b.units} units${b.value ? ` • ${formatMoney(b.value)}` : ''}</span></div>
+      <div class="chart-track"><div class="chart-fill" style="width:${Math.round((b[metric] / max) * 100)}%"></div></div>
+    </div>`).join('');
+}
+
+function renderDashboard() {
+  const page = document.getElementById('page-dashboard');
+  if (!page) return;
+  const stock = latestCounts();
+  const data = dashboardData(stock);
+  dashboardBuckets = new Map([...data.months, ...data.suppliers, ...data.categories, ...data.products]);
+  const { summary } = data;
+  const expiredIds = stock.filter(e => e.expiryStatus === 'expired').map(e => e.id);
+  const atRiskIds = stock.filter(e => e.expiryStatus !== 'ok' && e.expiryStatus !== 'missing').map(e => e.id);
+  dashboardBuckets.set('status:expired', { label: 'Expired', ids: expiredIds });
+  dashboardBuckets.set('status:risk', { label: 'At risk', ids: atRiskIds });
+  
+  page.innerHTML = `
+    <div class="dashboard">
+      <div class="stat-grid">
+        <div class="stat-card" data-bucket="status:risk"><div class="stat-value">${summary.atRiskUnits}</div><div class="stat-label">Units at risk</div></div>
+        <div class="stat-card" data-bucket="status:expired"><div class="stat-value">${summary.byStatus.expired || 0}</div><div class="stat-label">Units expired</div></div>
+        ${data.priced ? `<div class="stat-card" data-bucket="status:risk"><div class="stat-value">${formatMoney(summary.valueAtRisk)}</div><div class="stat-label">Value at risk${summary.unpricedAtRisk ? ` (+${summary.unpricedAtRisk} unpriced)` : ''}</div></div>` : ''}
       </div>
-      <span class="item-badge badge-${status}">${badgeText}</span>
-      <div class="item-qty">${item.qty || 1}</div>
+      <p class="empty-text">Latest count of each product per location</p>
+      <h4>Expiring in the next 12 months</h4>
+      ${columnChartSVG(data.months)}
+      <h4>Expired by supplier</h4>
+      ${barListHTML(data.suppliers)}
+      <h4>Expired by category</h4>
+      ${barListHTML(data.categories)}
+      <h4>Top products at risk</h4>
+      ${barListHTML(data.products, data.priced ? 'value' : 'units')}
     </div>
   `;
 }
 
-function escapeHtml(str) {
-  if (!str) return '';
-  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+// Sheet Modal
+// Screens without static markup in index.html are rendered into one shared sheet
+let sheetOnClose = null;
+function openSheet(title, bodyHTML, actions = [], onClose = null) {
+  if (sheetOnClose) { const prev = sheetOnClose; sheetOnClose = null; prev(); }
+  sheetOnClose = onClose;
+  let modal = document.getElementById('sheetModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'sheetModal';
+    modal.className = 'modal';
+    modal.innerHTML = '<div class="modal-content"><h3 class="modal-title"></h3><div class="sheet-body"></div><div class="modal-actions"></div></div>';
+    modal.addEventListener('click', e => { if (e.target === modal) closeSheet(); });
+    document.body.appendChild(modal);
+  }
+  modal.querySelector('.modal-title').textContent = title;
+  const body = modal.querySelector('.sheet-body');
+  body.innerHTML = bodyHTML;
+  const bar = modal.querySelector('.modal-actions');
+  bar.innerHTML = '';
+  [...actions, { label: 'Close', onClick: closeSheet }].forEach(a => {
+    const btn = document.createElement('button');
+    btn.className = a.primary ? 'btn btn-primary' : 'btn btn-secondary';
+    btn.textContent = a.label;
+    btn.addEventListener('click', a.onClick);
+    bar.appendChild(btn);
+  });
+  modal.classList.add('show');
+  return body;
 }
 
-function updateStats() {
-  const el = document.getElementById('historyCount');
-  if (el) el.textContent = State.history.length;
+function closeSheet() {
+  document.getElementById('sheetModal')?.classList.remove('show');
+  if (sheetOnClose) { const cb = sheetOnClose; sheetOnClose = null; cb(); }
 }
 
-function updateMasterStats() {
-  const el = document.getElementById('masterCount');
-  if (el) el.textContent = State.masterData.size;
+// Candidate picker for ambiguous scans and searches → { product, remember } or null
+function pickCandidate(candidates, scannedGtin = '') {
+  return new Promise(resolve => {
+    const html = `
+      ${scannedGtin ? `<p class="picker-scanned">Scanned ${scannedGtin}</p>` : ''}
+      <div class="candidate-list">
+        ${candidates.map((p, i) => `
+          <div class="history-item candidate-item" data-index="${i}">
+            <div class="item-info">
+              <div class="item-name">${escapeHtml(p.name || 'Unknown')}</div>
+              <div class="item-details">${p.gtin}${p.rms ? ` • ${escapeHtml(p.rms)}` : ''}${p.packSize ? ` • ${escapeHtml(p.packSize)}` : ''}</div>
+            </div>
+          </div>`).join('')}
+      </div>
+      ${scannedGtin ? '<label class="form-label"><input type="checkbox" class="picker-remember"> Remember this barcode for the chosen product</label>' : ''}
+    `;
+    const body = openSheet(`${candidates.length} possible products`, html, [], () => resolve(null));
+    body.querySelectorAll('.candidate-item').forEach(el => el.addEventListener('click', e => {
+      e.stopPropagation();
+      const remember = !!body.querySelector('.picker-remember')?.checked;
+      resolve({ product: candidates[+el.dataset.index], remember });
+      closeSheet();
+    }));
+  });
 }
 
-// Toast
-function showToast(msg, type = 'info') {
-  const container = document.getElementById('toastWrap');
-  const icons = {
-    success: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 6 9 17l-5-5"/></svg>',
-    error: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="m15 9-6 6M9 9l6 6"/></svg>',
-    warning: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="m21.73 18-8-14a2 2 0 0 0-3.48 0l-8 14A2 2 0 0 0 4 21h16a2 2 0 0 0 1.73-3Z"/></svg>',
-    info: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 16v-4M12 8h.01"/></svg>'
-  };
-  
-  const toast = document.createElement('div');
-  toast.className = `toast ${type}`;
-  toast.innerHTML = `<div class="toast-icon">${icons[type] || icons.info}</div><span class="toast-msg">${msg}</span>`;
-  container.appendChild(toast);
-  
-  setTimeout(() => {
-    toast.style.opacity = '0';
-    setTimeout(() => toast.remove(), 300);
-  }, 3000);
+function pickFile(accept, onText) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = accept;
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (file) onText(await file.text(), file.name);
+  });
+  input.click();
 }
 
-// Export CSV only
-function exportCSV() {
-  if (State.history.length === 0) { showToast('No data', 'warning'); return; }
-  
-  const headers = ['GTIN', 'Name', 'Expiry', 'Batch', 'Qty', 'Status', 'Scanned'];
-  const rows = State.history.map(i => [
-    i.gtin14, `"${(i.name || '').replace(/"/g, '""')}"`, i.expiryFormatted || '', i.batch || '', i.qty || 1, i.expiryStatus || '', i.scanTime || ''
-  ]);
-  
-  const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-  const blob = new Blob([csv], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `pharmacy-${new Date().toISOString().split('T')[0]}.csv`;
-  a.click();
-  URL.revokeObjectURL(url);
-  showToast('Exported', 'success');
+function addMenuItem(id, label, onClick) {
+  if (document.getElementById(id)) return;
+  const ref = document.getElementById('menuAbout');
+  const item = ref.cloneNode(true);
+  item.id = id;
+  (item.querySelector('span') || item).textContent = label;
+  item.addEventListener('click', () => { closeSideMenu(); onClick(); });
+  ref.before(item);
 }
 
-// Navigation
-function navigateTo(page) {
-  document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
-  document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
-  document.getElementById(`page-${page}`)?.classList.add('active');
-  document.querySelector(`[data-page="${page}"]`)?.classList.add('active');
-  State.currentPage = page;
-  if (page !== 'home' && State.scanning) stopScanner();
-  Haptic.light();
+// Adds a filter chip for each threshold tier that index.html doesn't already have
+function ensureStatusChips() {
+  const anchor = document.querySelector('.chip[data-filter="expiring"]');
+  if (!anchor) return;
+  let prev = anchor;
+  Object.entries(EXPIRY_TIERS).forEach(([id, tier]) => {
+    let chip = document.querySelector(`.chip[data-filter="${id}"]`);
+    if (!chip) {
+      chip = anchor.cloneNode(true);
+      chip.classList.remove('active');
+      chip.dataset.filter = id;
+      chip.textContent = tier.label;
+      prev.after(chip);
+    }
+    prev = chip;
+  });
 }
 
-// Edit Modal
-function openEditModal(entry) {
-  State.editingEntry = entry;
-  document.getElementById('editName').value = entry.name || '';
-  document.getElementById('editQty').value = entry.qty || 1;
-  document.getElementById('editExpiry').value = entry.expiry || '';
-  document.getElementById('editBatch').value = entry.batch || '';
-  document.getElementById('editModal').classList.add('show');
+// Threshold Profiles Editor
+// Edits a copy until Save, so Add Profile can redraw without losing what's typed
+function openThresholdEditor(draft = structuredClone({ profiles: State.thresholds.profiles, categories: State.thresholds.categories })) {
+  const { profiles, categories } = draft;
+  const tiers = Object.entries(EXPIRY_TIERS);
+  const cats = [...new Set([...State.masterData.values()].map(p => p.category).filter(Boolean))].sort();
+  // Unassigned categories fall back to the standard profile
+  const profileOptions = sel => profiles.map(p => `<option value="${p.id}"${p.id === (sel || 'standard') ? ' selected' : ''}>${escapeHtml(p.name)}</option>`).join('');
+  
+  const html = `
+    <div class="profile-list">
+      ${profiles.map((p, i) => `
+        <div class="profile-row" data-index="${i}">
+          <input class="form-input profile-name" value="${escapeHtml(p.name)}"${p.id === 'standard' ? ' disabled' : ''}>
+          ${tiers.map(([id, t]) => `<label class="form-label">${t.label} (days)<input class="form-input profile-days" type="number" min="0" data-tier="${id}" value="${p.days[id] || ''}"></label>`).join('')}
+        </div>`).join('')}
+    </div>
+    <h4>Categories</h4>
+    ${cats.length ? cats.map(c => `<label class="form-label">${escapeHtml(c)}<select class="form-input category-profile" data-category="${escapeHtml(c)}">${profileOptions(categories[c])}</select></label>`).join('') : '<p class="empty-text">No categories in master data</p>'}
+  `;
+  
+  const readForm = () => {
+    body.querySelectorAll('.profile-row').forEach(row => {
+      const p = profiles[+row.dataset.index];
+      p.name = row.querySelector('.profile-name').value.trim() || p.name;
+      row.querySelectorAll('.profile-days').forEach(inp => { p.days[inp.dataset.tier] = parseInt(inp.value, 10) || 0; });
+    });
+    body.querySelectorAll('.category-profile').forEach(s => {
+      if (s.value !== 'standard') categories[s.dataset.category] = s.value;
+      else delete categories[s.dataset.category];
+    });
+  };
+  
+  const body = openSheet('Expiry Profiles', html, [
+    { label: 'Add Profile', onClick: () => {
+      readForm();
+      profiles.push({ id: `p${Date.now().toString(36)}`, name: 'New profile', days: { expiring: CONFIG.EXPIRY_SOON_DAYS } });
+      openThresholdEditor(draft);
+    } },
+    { label: 'Save', primary: true, onClick: async () => {
+      readForm();
+      Object.assign(State.thresholds, draft);
+      await saveThresholds();
+      closeSheet();
+      showToast('Profiles saved', 'success');
+    } }
+  ]);
 }
 
-function closeEditModal() {
-  document.getElementById('editModal').classList.remove('show');
-  State.editingEntry = null;
+// Expiry Notifications
+// sw.js builds the daily digest from history; here we keep the preferences,
+// register periodic sync where supported and ask for a check on every open.
+const NOTIFY_DEFAULTS = { enabled: false, statuses: ['expired', 'return', 'discount', 'expiring'] };
+const DIGEST_TAG = 'expiry-digest';
+
+async function scheduleExpiryDigest(force = false) {
+  try {
+    const reg = await navigator.serviceWorker.ready;
+    if ('periodicSync' in reg) {
+      if (State.notifyPrefs.enabled) {
+        const perm = await navigator.permissions.query({ name: 'periodic-background-sync' }).catch(() => null);
+        if (perm?.state === 'granted') await reg.periodicSync.register(DIGEST_TAG, { minInterval: 24 * 60 * 60 * 1000 });
+      } else {
+        await reg.periodicSync.unregister(DIGEST_TAG);
+      }
+    }
+    if (State.notifyPrefs.enabled) reg.active?.postMessage({ type: 'expiry-check', force });
+  } catch (err) { console.error('Digest schedule failed:', err); }
 }
 
-async function saveEdit() {
-  if (!State.editingEntry) return;
-  State.editingEntry.name = document.getElementById('editName').value;
-  State.editingEntry.qty = parseInt(document.getElementById('editQty').value, 10) || 1;
-  State.editingEntry.expiry = document.getElementById('editExpiry').value;
-  State.editingEntry.batch = document.getElementById('editBatch').value;
-  
-  if (State.editingEntry.expiry) {
-    const d = new Date(State.editingEntry.expiry);
-    State.editingEntry.expiryStatus = getExpiryStatus(d);
-    State.editingEntry.expiryFormatted = `${String(d.getDate()).padStart(2,'0')}/${String(d.getMonth()+1).padStart(2,'0')}/${d.getFullYear()}`;
-  }
-  
-  await updateHistoryEntry(State.editingEntry);
-  closeEditModal();
+// Narrows history to the given entries until a filter chip is tapped
+function showFilteredHistory(ids, label) {
+  State.idFilter = new Set(ids);
+  State.activeFilter = 'all';
+  State.searchQuery = '';
+  document.getElementById('searchInput').value = '';
+  document.querySelectorAll('.chip').forEach(x => x.classList.toggle('active', x.dataset.filter === 'all'));
+  filterHistory();
+  navigateTo('history');
+  if (label) showToast(`${label}: ${State.filteredHistory.length} items`, 'info');
 }
 
-// Confirm Modal
-let confirmCallback = null;
-function showConfirm(title, msg, cb) {
-  document.getElementById('confirmTitle').textContent = title;
-  document.getElementById('confirmMsg').textContent = msg;
-  confirmCallback = cb;
-  document.getElementById('confirmModal').classList.add('show');
+async function showDigestHistory() {
+  const state = await DB.get('settings', 'notifyState');
+  const digest = state?.value?.digest;
+  if (!digest?.ids?.length) { showToast('No items in the last digest', 'info'); return; }
+  showFilteredHistory(digest.ids, 'Expiry digest');
 }
-function closeConfirm() {
-  document.getElementById('confirmModal').classList.remove('show');
-  confirmCallback = null;
+
+function openNotificationSettings() {
+  const prefs = State.notifyPrefs;
+  const html = `
+    <label class="form-label"><input type="checkbox" id="notifyEnabled"${prefs.enabled ? ' checked' : ''}> Daily expiry digest</label>
+    <h4>Notify when items become</h4>
+    ${NOTIFY_DEFAULTS.statuses.map(s => `<label class="form-label"><input type="checkbox" class="notify-status" value="${s}"${prefs.statuses.includes(s) ? ' checked' : ''}> ${statusLabel(s)}</label>`).join('')}
+    ${'Notification' in window && Notification.permission === 'denied' ? '<p class="empty-text">Notifications are blocked in this browser\'s site settings</p>' : ''}
+  `;
+  
+  const body = openSheet('Expiry Alerts', html, [
+    { label: 'Send Now', onClick: () => {
+      if (!prefs.enabled) { showToast('Enable the digest first', 'warning'); return; }
+      scheduleExpiryDigest(true);
+    } },
+    { label: 'Save', primary: true, onClick: async () => {
+      const next = {
+        enabled: body.querySelector('#notifyEnabled').checked,
+        statuses: [...body.querySelectorAll('.notify-status:checked')].map(c => c.value)
+      };
+      if (next.enabled) {
+        const permission = 'Notification' in window ? await Notification.requestPermission() : 'denied';
+        if (permission !== 'granted') { showToast('Notifications not allowed', 'warning'); next.enabled = false; }
+      }
+      State.notifyPrefs = next;
+      await DB.put('settings', { key: 'notifications', value: next });
+      if ('serviceWorker' in navigator) scheduleExpiryDigest();
+      closeSheet();
+      showToast('Alerts saved', 'success');
+    } }
+  ]);
 }
 
 // Bulk Entry
@@ -699,39 +4604,37 @@ async function processBulkEntry() {
   if (lines.length === 0) { showToast('Enter barcodes', 'warning'); return; }
   
   let total = lines.length, valid = 0, matched = 0;
+  const queued = new Set();
+  let recalled = 0;
   
   for (const line of lines) {
-    const parsed = parseGS1(line.trim());
+    const match = await resolveOrPick(line);
+    if (!match) continue;
+    const { parsed } = match;
     if (parsed.valid) {
       valid++;
-      const match = matchProduct(parsed.gtin14);
       let name = match.product?.name || '';
       if (match.product) matched++;
       if (!name && State.apiLookupEnabled) {
         const api = await lookupProductAPI(parsed.gtin14);
-        if (api) name = api.name;
+        if (api?.name) name = api.displayName;
+        else if (api?.unreachable) queued.add(parsed.gtin14);
       }
       
-      await addToHistory({
-        gtin14: parsed.gtin14,
-        gtin13: parsed.gtin13,
-        name: name || `Unknown (${parsed.gtin14.slice(-8)})`,
-        expiry: parsed.expiry,
-        expiryFormatted: parsed.expiryFormatted,
-        expiryStatus: parsed.expiryStatus,
-        batch: parsed.batch,
-        qty: parsed.qty || 1,
-        matchType: match.matchType,
-        scanTime: new Date().toISOString(),
-        raw: line.trim()
-      });
+      await addToHistory(createEntry(parsed, name, match.matchType, line.trim()));
+      if (findRecall(parsed.gtin14, parsed.batch)) recalled++;
     }
   }
   
   document.getElementById('statTotal').textContent = total;
   document.getElementById('statValid').textContent = valid;
   document.getElementById('statMatched').textContent = matched;
-  showToast(`Processed ${valid}/${total}`, 'success');
+  for (const gtin14 of queued) await LookupQueue.add(gtin14);
+  showToast(`Processed ${valid}/${total}${queued.size ? ` • ${queued.size} lookup${queued.size === 1 ? '' : 's'} queued` : ''}`, 'success');
+  if (recalled) {
+    Haptic.error();
+    openRecallReport();
+  }
 }
 
 // Side Menu
@@ -753,6 +4656,14 @@ async function loadSettings() {
       State.hapticEnabled = haptic.value;
       document.getElementById('toggleHaptic').classList.toggle('on', State.hapticEnabled);
     }
+    await loadThresholds();
+    const notify = await DB.get('settings', 'notifications');
+    State.notifyPrefs = { ...NOTIFY_DEFAULTS, ...notify?.value };
+    State.pharmacy = (await DB.get('settings', 'pharmacy'))?.value || {};
+    State.backup = (await DB.get('settings', 'backup'))?.value || {};
+    State.lookup = { ...State.lookup, ...(await DB.get('settings', 'lookupProviders'))?.value };
+    const basis = await DB.get('settings', 'dateBasis');
+    if (basis) State.dateBasis = basis.value || {};
     const updated = await DB.get('settings', 'masterUpdated');
     if (updated) {
       const d = new Date(updated.value);
@@ -764,6 +4675,7 @@ async function loadSettings() {
 // Event Listeners
 function initEventListeners() {
   // Nav
+  ensureDashboardPage();
   document.querySelectorAll('.nav-btn').forEach(b => b.addEventListener('click', () => navigateTo(b.dataset.page)));
   
   // Scanner
@@ -783,11 +4695,13 @@ function initEventListeners() {
   document.getElementById('searchInput').addEventListener('input', e => { State.searchQuery = e.target.value; filterHistory(); });
   
   // Filters
+  ensureStatusChips();
   document.querySelectorAll('.chip').forEach(c => {
     c.addEventListener('click', () => {
       document.querySelectorAll('.chip').forEach(x => x.classList.remove('active'));
       c.classList.add('active');
       State.activeFilter = c.dataset.filter;
+      State.idFilter = null;
       filterHistory();
     });
   });
@@ -798,7 +4712,7 @@ function initEventListeners() {
     if (item) {
       const id = parseInt(item.dataset.id, 10);
       const entry = State.history.find(h => h.id === id);
-      if (entry) requirePin(() => openEditModal(entry));
+      if (entry) requirePermission('editEntry', () => openEditModal(entry));
     }
   });
   
@@ -817,33 +4731,32 @@ function initEventListeners() {
     const file = e.target.files[0];
     if (!file) return;
     const text = await file.text();
-    const items = parseMasterCSV(text);
-    if (items.length > 0) await saveMasterData(items);
+    requirePermission('masterImport', () => openMasterImport(file.name, text));
     e.target.value = '';
   });
   
   // Toggles
   document.getElementById('toggleApi').addEventListener('click', function() {
-    this.classList.toggle('on');
-    State.apiLookupEnabled = this.classList.contains('on');
-    DB.put('settings', { key: 'apiLookup', value: State.apiLookupEnabled });
+    requirePermission('settings', () => {
+      this.classList.toggle('on');
+      State.apiLookupEnabled = this.classList.contains('on');
+      DB.put('settings', { key: 'apiLookup', value: State.apiLookupEnabled });
+    });
   });
   document.getElementById('toggleHaptic').addEventListener('click', function() {
-    this.classList.toggle('on');
-    State.hapticEnabled = this.classList.contains('on');
-    DB.put('settings', { key: 'haptic', value: State.hapticEnabled });
+    requirePermission('settings', () => {
+      this.classList.toggle('on');
+      State.hapticEnabled = this.classList.contains('on');
+      DB.put('settings', { key: 'haptic', value: State.hapticEnabled });
+    });
   });
   
   // Export
-  document.getElementById('btnExportCSV').addEventListener('click', exportCSV);
+  document.getElementById('btnExportCSV').addEventListener('click', () => exportCSV());
   
   // Clear all
   document.getElementById('btnClearAll').addEventListener('click', () => {
-    requirePin(() => showConfirm('Clear All', 'Delete all scan history?', async () => {
-      await DB.clear('history');
-      await loadHistory();
-      showToast('Cleared', 'success');
-    }));
+    requirePermission('clearAll', confirmClearHistory);
   });
   
   // PIN
@@ -852,6 +4765,18 @@ function initEventListeners() {
   // Edit modal
   document.getElementById('btnCancelEdit').addEventListener('click', closeEditModal);
   document.getElementById('btnSaveEdit').addEventListener('click', saveEdit);
+  ensureEditDeleteButton().addEventListener('click', () => {
+    const entry = State.editingEntry;
+    if (!entry) return;
+    // Another device's line is only deleted with it spelled out
+    const foreign = State.sync.enabled && !isOwnLine(entry);
+    requirePermission('deleteEntry', () => showConfirm('Delete', foreign
+      ? `Delete ${entry.name}? It was counted on another device and will be deleted on every synced device.`
+      : `Delete ${entry.name}?`, async () => {
+      closeEditModal();
+      await deleteHistoryEntry(entry.id, { everywhere: foreign });
+    }));
+  });
   
   // Confirm modal
   document.getElementById('btnConfirmNo').addEventListener('click', closeConfirm);
@@ -863,33 +4788,102 @@ function initEventListeners() {
     document.getElementById('sideMenu').classList.add('show');
   });
   document.getElementById('sideMenuBg').addEventListener('click', closeSideMenu);
-  document.getElementById('menuExport').addEventListener('click', () => { closeSideMenu(); exportCSV(); });
+  document.getElementById('menuExport').addEventListener('click', () => { closeSideMenu(); openExportDialog(); });
   document.getElementById('menuClear').addEventListener('click', () => {
     closeSideMenu();
-    requirePin(() => showConfirm('Clear', 'Delete all history?', async () => { await DB.clear('history'); await loadHistory(); showToast('Cleared', 'success'); }));
+    requirePermission('clearAll', confirmClearHistory);
   });
+  addMenuItem('menuThresholds', 'Expiry Profiles', () => requirePermission('settings', openThresholdEditor));
+  addMenuItem('menuNotifications', 'Expiry Alerts', () => requirePermission('settings', openNotificationSettings));
+  addMenuItem('menuPharmacy', 'Pharmacy Details', () => requirePermission('settings', openPharmacyDetails));
+  addMenuItem('menuImportHistory', 'Import History (JSON)', () => requirePermission('masterImport', () => pickFile('.json,application/json', importHistoryJSON)));
+  addMenuItem('menuBackup', 'Backup & Restore', () => requirePermission('backup', openBackups));
+  addMenuItem('menuSync', 'Sync', () => requirePermission('settings', openSyncSettings));
+  addMenuItem('menuUndoImport', 'Undo Last Import', () => requirePermission('masterImport', undoMasterImport));
+  addMenuItem('menuSessions', 'Count Sessions', openSessions);
+  addMenuItem('menuUnknown', 'Unknown Products', openUnknownReview);
+  addMenuItem('menuLookupQueue', 'Lookup Queue', openLookupQueue);
+  addMenuItem('menuRecalls', 'Recalls', openRecalls);
+  addMenuItem('menuFefo', 'Sell First', () => openFefoProducts());
+  addMenuItem('menuLookupSources', 'Lookup Sources', () => requirePermission('settings', openLookupProviders));
+  addMenuItem('menuAudit', 'Audit Log', () => requirePermission('viewAudit', () => openAuditViewer()));
+  addMenuItem('menuUsers', 'Users', () => requirePermission('manageUsers', openUserAdmin));
+  addMenuItem('menuLock', 'Lock', signOut);
   document.getElementById('menuAbout').addEventListener('click', () => { closeSideMenu(); showToast('Oasis Pharmacy v3.0', 'info'); });
   
   // Offline
-  window.addEventListener('online', () => document.getElementById('offlineTag').classList.remove('show'));
+  window.addEventListener('online', () => {
+    document.getElementById('offlineTag').classList.remove('show');
+    Sync.run();
+    LookupQueue.run();
+  });
   window.addEventListener('offline', () => document.getElementById('offlineTag').classList.add('show'));
 }
 
+// App Updates
+// sw.js installs new versions in the background and then waits; the page
+// offers a reload and only then tells the waiting worker to take over.
+function registerServiceWorker() {
+  navigator.serviceWorker.register('sw.js').then(reg => {
+    if (reg.waiting && navigator.serviceWorker.controller) promptUpdate(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      worker?.addEventListener('statechange', () => {
+        // No controller means first install, nothing to replace
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) promptUpdate(worker);
+      });
+    });
+  }).catch(e => console.error('SW failed:', e));
+  
+  // The first install claims the page too; that must not reload over the
+  // admin setup screen. Only a replaced worker means a new shell.
+  const hadController = !!navigator.serviceWorker.controller;
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading || !(hadController || State.updateAccepted)) return;
+    reloading = true;
+    location.reload();
+  });
+}
+
+function promptUpdate(worker) {
+  openSheet('Update Available', '<p>A new version of Oasis is ready. Reload to use it — your scans are kept.</p>', [
+    { label: 'Reload', primary: true, onClick: () => {
+      State.updateAccepted = true;
+      worker.postMessage({ type: 'skip-waiting' });
+    } }
+  ]);
+}
+
 // Init
 async function init() {
   try {
     await DB.init();
+    await loadUsers();
+    await loadSettings();
+    await loadSyncState();
     await loadMasterData();
+    await loadRecalls();
+    await loadSessions();
     await loadHistory();
-    await loadSettings();
     initEventListeners();
     
     if (!navigator.onLine) document.getElementById('offlineTag').classList.add('show');
+    if (!State.users.length) openUserSetup();
+    else checkBackupReminder();
     
     if ('serviceWorker' in navigator) {
-      navigator.serviceWorker.register('sw.js').catch(e => console.error('SW failed:', e));
+      registerServiceWorker();
+      navigator.serviceWorker.addEventListener('message', e => { if (e.data?.type === 'expiry-digest') showDigestHistory(); });
+      scheduleExpiryDigest();
+    }
+    if (new URLSearchParams(location.search).get('view') === 'expiry-digest') {
+      history.replaceState(null, '', location.pathname);
+      showDigestHistory();
     }
     
+    Sync.run();
+    LookupQueue.schedule();
     console.log('✅ Oasis Pharmacy v3.0 ready');
   } catch (err) {
     console.error('Init failed:', err);
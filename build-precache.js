@@ -0,0 +1,51 @@
+// Writes precache-manifest.js for sw.js: every app shell file with a content hash.
+// Run as part of every deploy, after the shell files are final; a changed hash is
+// what makes browsers pick up a new service worker and refetch only what changed.
+// The output is not committed (see .gitignore), so it can never go stale in git.
+// Without it sw.js falls back to its own shell list and refetches it all on
+// every install.
+//
+//   node build-precache.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = __dirname;
+const OUT = 'precache-manifest.js';
+
+const SHELL = ['index.html', 'app.js', 'pharmacyMatcher.js', 'manifest.json'];
+const ICONS = fs.readdirSync(ROOT).filter(f => /^icon-\d+\.png$/.test(f)).sort((a, b) => parseInt(a.slice(5)) - parseInt(b.slice(5)));
+
+// Pinned CDN scripts; the version in the URL is their revision.
+// index.html must load the same URL for the precached copy to be used.
+const EXTERNAL = [
+  { url: 'https://unpkg.com/html5-qrcode@2.3.8/html5-qrcode.min.js', revision: '2.3.8' }
+];
+
+function hash(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(path.join(ROOT, file))).digest('hex').slice(0, 16);
+}
+
+const files = [];
+for (const file of [...SHELL, ...ICONS]) {
+  if (!fs.existsSync(path.join(ROOT, file))) {
+    // Still precached, just refetched on every install
+    console.warn(`⚠️ ${file} not found — listed without a revision`);
+    files.push({ url: `./${file}`, revision: null });
+    continue;
+  }
+  files.push({ url: `./${file}`, revision: hash(file) });
+}
+files.push(...EXTERNAL);
+
+// The start URL is the same document as index.html
+const index = files.find(f => f.url === './index.html');
+files.unshift({ url: './', revision: index.revision });
+
+const version = crypto.createHash('sha256').update(JSON.stringify(files)).digest('hex').slice(0, 12);
+
+fs.writeFileSync(path.join(ROOT, OUT), `// Generated by build-precache.js — do not edit
+self.PRECACHE_MANIFEST = ${JSON.stringify({ version, files }, null, 2)};
+`);
+console.log(`Wrote ${OUT}: ${files.length} files, version ${version}`);
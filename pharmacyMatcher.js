@@ -1,53 +1,197 @@
 /**
  * Pharmacy Matcher — integrated with Expiry Tracker DB
- * Matches products from DB.getAllMaster() by barcode (exact/series) or name.
+ * Matches master records ({ gtin, name, altGtins, ... }) by barcode
+ * (exact/alternate/last-8/series) or name. Rebuilt by loadMasterData().
  */
 
 class PharmacyMatcher {
   constructor() {
     this.products = [];
     this._barcodeMap = new Map();
+    this._last8 = new Map();
+    this._terms = new Map();      // token → product indices
+    this._termsByLength = [];     // token length → tokens, for fuzzy lookup
+    this._vocab = [];             // sorted tokens, for prefix lookup
+    this._names = [];             // normalised name per product
+    this._synonyms = new Map();   // token → synonym group
     this._ready = false;
+    PharmacyMatcher.SYNONYMS.forEach(group => this.addSynonyms(group));
   }
 
   /**
-   * Load products from your existing IndexedDB via DB.getAllMaster().
-   * Called automatically after loadPreloadedMasterData() in the boot sequence.
+   * Index master records. Primary GTINs are indexed before alternates so an
+   * alternate never shadows another product's primary barcode.
+   */
+  index(products) {
+    this.products = products;
+    this._barcodeMap.clear();
+    this._last8.clear();
+    for (const p of products) this._addBarcode(p.gtin, p);
+    for (const p of products) {
+      for (const alt of p.altGtins || []) this._addBarcode(alt, p);
+    }
+    this._indexNames();
+    this._ready = true;
+  }
+
+  /**
+   * Load products straight from the `master` store.
    */
   async init() {
     try {
-      this.products = await DB.getAllMaster();
-      this._barcodeMap.clear();
-      for (const p of this.products) {
-        if (p.barcode) this._barcodeMap.set(String(p.barcode).trim(), p);
-      }
-      this._ready = true;
-      console.log(`[PharmacyMatcher] Ready — ${this.products.length} products indexed.`);
+      this.index(await DB.getAll('master'));
     } catch (err) {
       console.error('[PharmacyMatcher] init failed:', err);
     }
   }
 
+  _addBarcode(code, p) {
+    const key = PharmacyMatcher.normalize(code);
+    if (!key || this._barcodeMap.has(key)) return;
+    this._barcodeMap.set(key, p);
+    const l8 = key.slice(-8);
+    if (!this._last8.has(l8)) this._last8.set(l8, []);
+    const list = this._last8.get(l8);
+    if (!list.includes(p)) list.push(p);
+  }
+
+  _indexNames() {
+    this._terms.clear();
+    this._termsByLength = [];
+    this._names = this.products.map((p, i) => {
+      const tokens = PharmacyMatcher.tokenize(p.name);
+      for (const t of new Set(tokens)) {
+        if (!this._terms.has(t)) {
+          this._terms.set(t, []);
+          (this._termsByLength[t.length] ||= []).push(t);
+        }
+        this._terms.get(t).push(i);
+      }
+      return tokens.join(' ');
+    });
+    this._vocab = [...this._terms.keys()].sort();
+  }
+
+  /**
+   * Words in a group are interchangeable in name search (brand ↔ generic).
+   */
+  addSynonyms(words) {
+    const group = new Set(words.map(w => PharmacyMatcher.tokenize(w)[0]).filter(Boolean));
+    for (const w of group) {
+      const existing = this._synonyms.get(w);
+      if (existing) existing.forEach(x => group.add(x));
+    }
+    for (const w of group) this._synonyms.set(w, group);
+  }
+
+  // Upper-case tokens with strengths joined to their unit ("500 mg" → 500MG,
+  // "1g" → 1000MG) and dosage-form abbreviations expanded (TAB → TABLETS).
+  static tokenize(text) {
+    const units = PharmacyMatcher.UNITS;
+    const t = String(text || '')
+      .replace(/[µμ]/g, 'mc')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase()
+      // 1,000 IU is a thousand; 0,125 and 2,5 are decimal commas
+      .replace(/(?<=\d)(?<!(?:^|\D)0),(?=\d{3}(?!\d))/g, '')
+      .replace(/(\d),(\d)/g, '$1.$2')
+      .replace(/(\d+(?:\.\d+)?)\s*(MCG|UG|MG|G|ML|L|IU|UNITS?|MMOL|%)(?![A-Z])/g, (_, n, u) => {
+        const [unit, factor] = units[u];
+        return ` ${+(parseFloat(n) * factor).toFixed(4)}${unit} `;
+      });
+    return t.split(/[^A-Z0-9.%]+/)
+      .map(w => w.replace(/^\.+|\.+$/g, ''))
+      .filter(Boolean)
+      .map(w => PharmacyMatcher.ABBREVIATIONS[w] || w);
+  }
+
+  // Optimal string alignment distance, abandoned once it exceeds max
+  static editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null, prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+        cur[j] = d;
+        if (d < rowMin) rowMin = d;
+      }
+      if (rowMin > max) return max + 1;
+      prev2 = prev;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // Index tokens a query token can stand for, with a weight per token
+  _expandToken(qt) {
+    const found = new Map();
+    const add = (t, w) => { if ((found.get(t) || 0) < w) found.set(t, w); };
+    if (this._terms.has(qt)) add(qt, 1);
+
+    const hasDigit = /\d/.test(qt);
+    const maxDist = hasDigit || qt.length < 4 ? 0 : qt.length < 8 ? 1 : 2;
+    for (let len = qt.length - maxDist; maxDist && len <= qt.length + maxDist; len++) {
+      for (const t of this._termsByLength[len] || []) {
+        const d = PharmacyMatcher.editDistance(qt, t, maxDist);
+        if (d > 0 && d <= maxDist) add(t, 1 - 0.25 * d);
+      }
+    }
+
+    // Prefix: type-ahead and truncated words ("PARAC", "500M")
+    if (qt.length >= 2) {
+      let lo = 0, hi = this._vocab.length;
+      while (lo < hi) { const mid = (lo + hi) >> 1; if (this._vocab[mid] < qt) lo = mid + 1; else hi = mid; }
+      for (let i = lo; i < this._vocab.length && this._vocab[i].startsWith(qt); i++) {
+        if (this._vocab[i] !== qt) add(this._vocab[i], 0.7);
+      }
+    }
+
+    for (const [t, w] of [...found, [qt, 1]]) {
+      for (const syn of this._synonyms.get(t) || []) {
+        if (syn !== t && this._terms.has(syn)) add(syn, w * 0.9);
+      }
+    }
+    return found;
+  }
+
+  static normalize(code) {
+    const digits = String(code || '').trim();
+    return /^\d{8,14}$/.test(digits) ? digits.padStart(14, '0') : digits;
+  }
+
   _checkReady() {
     if (!this._ready) throw new Error('PharmacyMatcher not initialised — call await matcher.init() first.');
   }
 
   // ── 1. EXACT BARCODE MATCH ────────────────────────────────────────────────
+  // Primary or alternate GTIN, any of GTIN-8/12/13/14
   matchExact(code) {
     this._checkReady();
-    return this._barcodeMap.get(String(code).trim()) || null;
+    return this._barcodeMap.get(PharmacyMatcher.normalize(code)) || null;
+  }
+
+  // ── 2. LAST-8 MATCH ───────────────────────────────────────────────────────
+  // Same item reference under a different company prefix / indicator digit
+  matchLast8(code) {
+    this._checkReady();
+    return this._last8.get(PharmacyMatcher.normalize(code).slice(-8)) || [];
   }
 
-  // ── 2. SERIES / PARTIAL BARCODE MATCH ────────────────────────────────────
+  // ── 3. SERIES / PARTIAL BARCODE MATCH ────────────────────────────────────
   // e.g. scanner returns "062911091201" → matches "06291109120100"
   matchSeries(code, limit = 10) {
     this._checkReady();
-    const query = String(code).trim();
+    const query = String(code).trim().replace(/^0+/, '');
     const results = [];
+    if (query.length < 4) return results;
 
-    for (const p of this.products) {
-      const bc = String(p.barcode || '').trim();
-      if (bc.startsWith(query) || query.startsWith(bc)) {
+    for (const [key, p] of this._barcodeMap) {
+      const bc = key.replace(/^0+/, '');
+      if ((bc.startsWith(query) || query.startsWith(bc)) && !results.includes(p)) {
         results.push(p);
         if (results.length >= limit) break;
       }
@@ -55,34 +199,55 @@ class PharmacyMatcher {
     return results;
   }
 
-  // ── 3. NAME SEARCH ────────────────────────────────────────────────────────
-  // Scores: exact name (3) → substring match (2) → all words present (1)
+  // ── 4. NAME SEARCH ────────────────────────────────────────────────────────
+  // Each query token matches exactly, by synonym, by prefix or within edit
+  // distance 1–2, weighted by rarity. Products matching every token rank first;
+  // at least half the tokens must match. Exact name and leading word add a bonus.
   matchByName(query, limit = 10) {
     this._checkReady();
-    const q = query.trim().toUpperCase();
-    const words = q.split(/\s+/).filter(Boolean);
-    const results = [];
+    const qTokens = [...new Set(PharmacyMatcher.tokenize(query))];
+    if (!qTokens.length) return [];
+    const n = this.products.length;
+    const hits = new Map(); // product index → { score, matched }
 
-    for (const p of this.products) {
-      const name = (p.name || '').toUpperCase();
-      let score = 0;
-
-      if (name === q)                              score = 3;
-      else if (name.includes(q))                   score = 2;
-      else if (words.every(w => name.includes(w))) score = 1;
+    for (const qt of qTokens) {
+      const best = new Map();
+      for (const [t, w] of this._expandToken(qt)) {
+        const postings = this._terms.get(t);
+        const weight = w * Math.log(1 + n / postings.length);
+        for (const i of postings) if ((best.get(i) || 0) < weight) best.set(i, weight);
+      }
+      for (const [i, weight] of best) {
+        const h = hits.get(i) || { score: 0, matched: 0 };
+        h.score += weight;
+        h.matched++;
+        hits.set(i, h);
+      }
+    }
 
-      if (score > 0) results.push({ ...p, _score: score });
+    const needed = Math.ceil(qTokens.length / 2);
+    const qName = qTokens.join(' ');
+    const results = [];
+    for (const [i, h] of hits) {
+      if (h.matched < needed) continue;
+      const name = this._names[i];
+      let score = (h.matched / qTokens.length) * 10 + h.score;
+      if (name === qName) score += 5;
+      else if (name.startsWith(qTokens[0])) score += 1;
+      results.push({ i, score, len: name.length });
     }
 
     return results
-      .sort((a, b) => b._score - a._score)
-      .slice(0, limit);
+      .sort((a, b) => b.score - a.score || a.len - b.len)
+      .slice(0, limit)
+      .map(r => ({ ...this.products[r.i], _score: +r.score.toFixed(3) }));
   }
 
-  // ── 4. SMART MATCH — single entry point ───────────────────────────────────
+  // ── 5. SMART MATCH — single entry point ───────────────────────────────────
   // Detects whether query is a barcode (digits only) or a name string.
   // Returns { type, results }
-  //   type: 'exact_barcode' | 'series_barcode' | 'name' | 'no_match'
+  //   type: 'exact_barcode' | 'alternate_barcode' | 'last8_barcode' |
+  //         'series_barcode' | 'name' | 'no_match'
   smartMatch(query, limit = 10) {
     this._checkReady();
     const q = String(query).trim();
@@ -90,10 +255,19 @@ class PharmacyMatcher {
 
     if (isBarcode) {
       const exact = this.matchExact(q);
-      if (exact) return { type: 'exact_barcode', results: [exact] };
+      if (exact) {
+        const type = exact.gtin === PharmacyMatcher.normalize(q) ? 'exact_barcode' : 'alternate_barcode';
+        return { type, results: [exact] };
+      }
+
+      if (q.length >= 8) {
+        const last8 = this.matchLast8(q);
+        if (last8.length) return { type: 'last8_barcode', results: last8.slice(0, limit) };
+      }
 
       const series = this.matchSeries(q, limit);
       if (series.length) return { type: 'series_barcode', results: series };
+      return { type: 'no_match', results: [] };
     }
 
     const byName = this.matchByName(q, limit);
@@ -103,34 +277,65 @@ class PharmacyMatcher {
   }
 }
 
+// ── SEARCH TABLES ──────────────────────────────────────────────────────────
+// Strength units → [canonical unit, multiplier]
+PharmacyMatcher.UNITS = {
+  MCG: ['MCG', 1], UG: ['MCG', 1], MG: ['MG', 1], G: ['MG', 1000],
+  ML: ['ML', 1], L: ['ML', 1000], IU: ['IU', 1], UNIT: ['U', 1], UNITS: ['U', 1],
+  MMOL: ['MMOL', 1], '%': ['%', 1]
+};
+
+// Dosage-form abbreviations, rewritten on both the index and the query side
+PharmacyMatcher.ABBREVIATIONS = {
+  TAB: 'TABLETS', TABS: 'TABLETS', TABLET: 'TABLETS',
+  CAP: 'CAPSULES', CAPS: 'CAPSULES', CAPSULE: 'CAPSULES',
+  SYR: 'SYRUP', SUSP: 'SUSPENSION', SOL: 'SOLUTION', INJ: 'INJECTION',
+  OINT: 'OINTMENT', CRM: 'CREAM', LOZ: 'LOZENGES', LOZENGE: 'LOZENGES',
+  DROP: 'DROPS', SACHET: 'SACHETS', SUPP: 'SUPPOSITORIES', EFF: 'EFFERVESCENT'
+};
+
+// Brand ↔ generic groups. Add a line per molecule; matcher.addSynonyms() at runtime.
+PharmacyMatcher.SYNONYMS = [
+  ['PARACETAMOL', 'ACETAMINOPHEN', 'PANADOL', 'TYLENOL', 'ADOL', 'CALPOL', 'FEVADOL'],
+  ['IBUPROFEN', 'NUROFEN', 'ADVIL', 'BRUFEN', 'MOTRIN'],
+  ['DICLOFENAC', 'VOLTAREN', 'CATAFLAM'],
+  ['ASPIRIN', 'ACETYLSALICYLIC', 'DISPRIN'],
+  ['CETIRIZINE', 'ZYRTEC'],
+  ['LORATADINE', 'CLARITIN', 'CLARITINE'],
+  ['FEXOFENADINE', 'TELFAST', 'ALLEGRA'],
+  ['CHLORPHENAMINE', 'CHLORPHENIRAMINE', 'PIRITON'],
+  ['OMEPRAZOLE', 'LOSEC', 'PRILOSEC'],
+  ['ESOMEPRAZOLE', 'NEXIUM'],
+  ['AMOXICILLIN', 'AMOXYCILLIN', 'AMOXIL'],
+  ['ATORVASTATIN', 'LIPITOR'],
+  ['METFORMIN', 'GLUCOPHAGE'],
+  ['LISINOPRIL', 'ZESTRIL'],
+  ['SALBUTAMOL', 'ALBUTEROL', 'VENTOLIN'],
+  ['LOPERAMIDE', 'IMODIUM'],
+  ['DOMPERIDONE', 'MOTILIUM'],
+  ['CLOTRIMAZOLE', 'CANESTEN'],
+  ['PSEUDOEPHEDRINE', 'SUDAFED'],
+  ['MEBEVERINE', 'COLOFAC', 'DUSPATALIN'],
+  ['CHOLECALCIFEROL', 'D3']
+];
+
 // ── SINGLETON ──────────────────────────────────────────────────────────────
+// Indexed by loadMasterData() in app.js every time the master store changes.
 const matcher = new PharmacyMatcher();
 
-// ── BOOT SEQUENCE ──────────────────────────────────────────────────────────
-// Merges with your existing window load handler.
-// loadPreloadedMasterData() runs first, then matcher indexes the DB.
-if (typeof window !== 'undefined') {
-  window.addEventListener('load', () => {
-    setTimeout(async () => {
-      await loadPreloadedMasterData(); // your existing function
-      await matcher.init();           // indexes DB for matching
-    }, 1000);
-  });
-}
-
 // ── USAGE EXAMPLES ─────────────────────────────────────────────────────────
 /*
-  // Exact barcode scan:
+  // Exact barcode scan (primary or alternate GTIN):
   matcher.smartMatch('06291109120100');
-  // → { type: 'exact_barcode', results: [{ barcode, name: 'Panadol Baby & Infant 100ml...', rms: '220219715' }] }
+  // → { type: 'exact_barcode', results: [{ gtin, name: 'Panadol Baby & Infant 100ml...', rms: '220219715' }] }
 
   // Partial/series barcode (scanner cut off):
   matcher.smartMatch('062911091201');
   // → { type: 'series_barcode', results: [ ...multiple Panadol products... ] }
 
-  // Name search from text input:
-  matcher.smartMatch('panadol');
-  // → { type: 'name', results: [ ...all Panadol products, sorted by relevance... ] }
+  // Name search from text input (typos, "500 mg" vs "500mg", brand ↔ generic):
+  matcher.smartMatch('paracetmol 500 mg');
+  // → { type: 'name', results: [ ...Panadol / Paracetamol 500mg products, sorted by relevance... ] }
 
   // No match:
   matcher.smartMatch('xyz999');
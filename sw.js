@@ -1,14 +1,32 @@
-const CACHE_VERSION = 'v3.0.0';
-const CACHE_NAME = `oasis-pharmacy-${CACHE_VERSION}`;
-
-const STATIC_FILES = [
-  './',
-  './index.html',
-  './app.js',
-  './manifest.json',
-  './icons/icon-192.png',
-  './icons/icon-512.png'
-];
+// Precache list with content hashes, written by build-precache.js at deploy time
+try {
+  importScripts('./precache-manifest.js');
+} catch (err) {
+  // Plain static deploy without the build step
+}
+
+// Used when the manifest is missing: no revisions, so every install refetches
+// the lot, and only a change to this file (bump the version) ships an update.
+const FALLBACK_MANIFEST = {
+  version: 'v3.1.0',
+  files: [
+    './', './index.html', './app.js', './pharmacyMatcher.js', './manifest.json', './icon-192.png', './icon-512.png'
+  ].map(url => ({ url, revision: null })).concat(
+    { url: 'https://unpkg.com/html5-qrcode@2.3.8/html5-qrcode.min.js', revision: '2.3.8' }
+  )
+};
+
+const { version: PRECACHE_VERSION, files: PRECACHE_FILES } = self.PRECACHE_MANIFEST || FALLBACK_MANIFEST;
+const PRECACHE = `oasis-pharmacy-precache-${PRECACHE_VERSION}`;
+const RUNTIME_CACHE = `oasis-pharmacy-runtime-${PRECACHE_VERSION}`;
+const REVISION_HEADER = 'X-Precache-Revision';
+
+// App shell URLs, absolute and without query, for matching requests
+const SHELL_URLS = new Set(PRECACHE_FILES.map(f => new URL(f.url, self.location).href));
+
+// Successful product lookups outlive app updates; oldest entries go first
+const API_CACHE = 'oasis-pharmacy-api';
+const API_CACHE_MAX = 500;
 
 const API_DOMAINS = [
   'api.fda.gov',
@@ -17,12 +35,34 @@ const API_DOMAINS = [
   'openfoodfacts.org'
 ];
 
+// Which responses count as a found product, per lookup domain
+const API_HAS_RESULT = {
+  'api.fda.gov': data => data.results?.length > 0,
+  'dailymed.nlm.nih.gov': data => data.data?.length > 0,
+  'openfoodfacts.org': data => data.status === 1
+};
+
+async function withRevision(response, revision) {
+  const headers = new Headers(response.headers);
+  if (revision) headers.set(REVISION_HEADER, revision);
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+// Unchanged files are copied over from the previous precache instead of refetched
+async function precacheFile(cache, { url: path, revision }) {
+  const url = new URL(path, self.location).href;
+  const previous = revision && await caches.match(url);
+  if (previous?.headers.get(REVISION_HEADER) === revision) return cache.put(url, previous);
+  const response = await fetch(new Request(url, { cache: 'reload' }));
+  if (!response.ok) throw new Error(`Precache ${url} failed: ${response.status}`);
+  await cache.put(url, await withRevision(response, revision));
+}
+
 // Install
+// The new worker waits until the page accepts the update prompt
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => cache.addAll(STATIC_FILES))
-      .then(() => self.skipWaiting())
+    caches.open(PRECACHE).then(cache => Promise.all(PRECACHE_FILES.map(file => precacheFile(cache, file))))
   );
 });
 
@@ -31,37 +71,229 @@ self.addEventListener('activate', event => {
   event.waitUntil(
     caches.keys()
       .then(keys => Promise.all(
-        keys.filter(key => key.startsWith('oasis-pharmacy-') && key !== CACHE_NAME)
+        keys.filter(key => key.startsWith('oasis-pharmacy-') && ![PRECACHE, RUNTIME_CACHE, API_CACHE].includes(key))
           .map(key => caches.delete(key))
       ))
       .then(() => self.clients.claim())
   );
 });
 
+// App shell - served only from this worker's precache, so a new shell reaches
+// the page through the update prompt and never mid-session. A file missing
+// from the precache is fetched and kept in the runtime cache for offline use.
+async function serveShell(event, url) {
+  const cached = await caches.match(url, { cacheName: PRECACHE });
+  if (cached) return cached;
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      const copy = response.clone();
+      event.waitUntil(caches.open(RUNTIME_CACHE).then(cache => cache.put(url, copy)));
+    }
+    return response;
+  } catch (err) {
+    const kept = await caches.match(url, { cacheName: RUNTIME_CACHE });
+    if (kept) return kept;
+    throw err;
+  }
+}
+
+async function rememberLookup(key, response) {
+  const cache = await caches.open(API_CACHE);
+  await cache.delete(key);
+  await cache.put(key, response);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - API_CACHE_MAX)).map(k => cache.delete(k)));
+}
+
+// Product lookups - network first, falling back to the last good answer for
+// the same GTIN. app.js passes the GTIN in the URL fragment, which the
+// browser never sends to the API. Custom lookup endpoints come through here
+// too; any JSON they answer with counts as found.
+async function serveLookup(event, domain, gtin) {
+  const key = new URL(`./__api/${domain}/${gtin}`, self.location).href;
+  try {
+    const response = await fetch(event.request);
+    const found = API_HAS_RESULT[domain] || (data => !!data);
+    if (response.ok) {
+      const data = await response.clone().json().catch(() => null);
+      if (data && found(data)) event.waitUntil(rememberLookup(key, response.clone()));
+    }
+    return response;
+  } catch (err) {
+    return (await caches.match(key, { cacheName: API_CACHE })) || offlineResponse();
+  }
+}
+
+function offlineResponse() {
+  return new Response('{"error":"offline"}', { status: 503, headers: { 'Content-Type': 'application/json' } });
+}
+
 // Fetch
 self.addEventListener('fetch', event => {
   const url = new URL(event.request.url);
   
-  // API requests - network only
-  if (API_DOMAINS.some(domain => url.hostname.includes(domain))) {
-    event.respondWith(fetch(event.request).catch(() => new Response('{"error":"offline"}', { status: 503 })));
+  // API requests - network, with cached lookups for offline
+  const domain = API_DOMAINS.find(d => url.hostname.includes(d));
+  const gtin = new URLSearchParams(url.hash.slice(1)).get('gtin');
+  if (gtin && event.request.method === 'GET') {
+    event.respondWith(serveLookup(event, domain || url.hostname, gtin));
+    return;
+  }
+  if (domain) {
+    event.respondWith(fetch(event.request).catch(offlineResponse));
+    return;
+  }
+  
+  // Writes and no-store requests (sync) always go to the network
+  if (event.request.method !== 'GET' || event.request.cache === 'no-store') return;
+  
+  const shellUrl = url.origin + url.pathname;
+  if (SHELL_URLS.has(shellUrl)) {
+    event.respondWith(serveShell(event, shellUrl).catch(() => caches.match(new URL('./index.html', self.location).href, { cacheName: PRECACHE })));
     return;
   }
   
-  // Static files - cache first
+  // Everything else - cache first
   event.respondWith(
     caches.match(event.request)
       .then(cached => {
         if (cached) return cached;
         return fetch(event.request)
           .then(response => {
-            if (response.ok && event.request.method === 'GET') {
+            if (response.ok) {
               const clone = response.clone();
-              caches.open(CACHE_NAME).then(cache => cache.put(event.request, clone));
+              caches.open(RUNTIME_CACHE).then(cache => cache.put(event.request, clone));
             }
             return response;
           });
       })
-      .catch(() => caches.match('./index.html'))
+      .catch(() => caches.match(new URL('./index.html', self.location).href, { cacheName: PRECACHE }))
+  );
+});
+
+// Expiry notifications
+// The daily digest reads history straight from IndexedDB so it can run from
+// periodic background sync with no page open. Status rules mirror app.js.
+const DB_NAME = 'oasis-pharmacy-v3';
+const DIGEST_TAG = 'expiry-digest';
+const DIGEST_LABELS = { expired: 'expired', return: 'to return', discount: 'to discount', expiring: 'expiring' };
+const NOTIFY_DEFAULTS = { enabled: false, statuses: ['expired', 'return', 'discount', 'expiring'] };
+const DEFAULT_PROFILE = { id: 'standard', days: { expiring: 90 } };
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    // Never create or upgrade the database from here; that belongs to the app
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function dbRequest(db, store, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(store, mode).objectStore(store));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function localDay(d = new Date()) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function entryStatus(entry, settings, categories) {
+  const order = settings.dateBasis?.[entry.gtin14] === 'bestBefore' ? ['bestBefore', 'expiry'] : ['expiry', 'bestBefore'];
+  const iso = order.map(f => entry[f]).find(Boolean);
+  if (!iso) return 'missing';
+  
+  const profiles = settings.thresholdProfiles?.length ? settings.thresholdProfiles : [DEFAULT_PROFILE];
+  const { products = {}, categories: byCategory = {} } = settings.thresholdAssignments || {};
+  const category = categories.get(entry.gtin14);
+  const id = products[entry.gtin14] || (category && byCategory[category]) || 'standard';
+  const profile = profiles.find(p => p.id === id) || profiles[0];
+  
+  const [y, m, d] = iso.split('-').map(Number);
+  const now = new Date(); now.setHours(0, 0, 0, 0);
+  const diff = Math.ceil((new Date(y, m - 1, d) - now) / 86400000);
+  if (diff < 0) return 'expired';
+  const tier = Object.entries(profile.days)
+    .filter(([, days]) => days > 0)
+    .sort((a, b) => a[1] - b[1])
+    .find(([, days]) => diff <= days);
+  return tier ? tier[0] : 'ok';
+}
+
+// Notifies about items whose status changed since the last digest; runs once a day unless forced
+async function runExpiryDigest({ force = false } = {}) {
+  if (self.Notification?.permission !== 'granted') return;
+  const db = await openDB();
+  try {
+    const settings = {};
+    (await dbRequest(db, 'settings', 'readonly', s => s.getAll())).forEach(r => { settings[r.key] = r.value; });
+    const prefs = { ...NOTIFY_DEFAULTS, ...settings.notifications };
+    const state = settings.notifyState || { day: null, statuses: {} };
+    if (!prefs.enabled || (!force && state.day === localDay())) return;
+    
+    const master = await dbRequest(db, 'master', 'readonly', s => s.getAll());
+    const categories = new Map(master.filter(p => p.category).map(p => [p.gtin, p.category]));
+    const history = await dbRequest(db, 'history', 'readonly', s => s.getAll());
+    
+    const statuses = {};
+    const crossed = {};
+    history.forEach(e => {
+      const status = entryStatus(e, settings, categories);
+      statuses[e.id] = status;
+      if (prefs.statuses.includes(status) && (force || state.statuses[e.id] !== status)) (crossed[status] ||= []).push(e.id);
+    });
+    const ids = Object.values(crossed).flat();
+    await dbRequest(db, 'settings', 'readwrite', s => s.put({
+      key: 'notifyState',
+      value: { day: localDay(), statuses, digest: ids.length ? { ids, statuses: Object.keys(crossed) } : state.digest }
+    }));
+    if (!ids.length) return;
+    
+    const body = prefs.statuses.filter(s => crossed[s]).map(s => `${crossed[s].length} ${DIGEST_LABELS[s]}`).join(' · ');
+    await self.registration.showNotification('Expiry digest', {
+      body,
+      tag: DIGEST_TAG,
+      renotify: true,
+      icon: './icon-192.png',
+      data: { url: './?view=expiry-digest' }
+    });
+  } finally {
+    db.close();
+  }
+}
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === DIGEST_TAG) event.waitUntil(runExpiryDigest().catch(err => console.error('Digest failed:', err)));
+});
+
+// Fallback for browsers without periodic sync: the app asks for a check on open
+self.addEventListener('message', event => {
+  if (event.data?.type === 'expiry-check') {
+    event.waitUntil(runExpiryDigest(event.data).catch(err => console.error('Digest failed:', err)));
+  }
+  // Sent by the update prompt in app.js
+  if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(list => {
+      const client = list[0];
+      if (client) {
+        client.postMessage({ type: 'expiry-digest' });
+        return client.focus();
+      }
+      return self.clients.openWindow(event.notification.data?.url || './');
+    })
   );
 });
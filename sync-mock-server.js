@@ -0,0 +1,73 @@
+// Mock sync server for trying multi-device sync locally.
+// Keeps everything in memory; restart to start over.
+//
+//   node sync-mock-server.js [port]
+//
+// Point Sync → Server URL at http://localhost:8787 on each device.
+//
+// POST /changes  { device, changes: [...] }   → { accepted }
+// GET  /changes?since=<cursor>               → { changes, cursor }
+// GET  /master?since=<version>               → { version, mode, items } or { version }
+// POST /master   { mode, items: [...] }      → { version }   (head-office push)
+
+const http = require('http');
+
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+const token = process.env.SYNC_TOKEN || '';
+const PAGE = 500;
+
+const log = [];
+let master = { version: 0, mode: 'merge', items: [] };
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try { resolve(data ? JSON.parse(data) : {}); } catch (err) { reject(err); }
+    });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: 'unauthorized' });
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  try {
+    if (url.pathname === '/changes' && req.method === 'POST') {
+      const { changes = [] } = await readBody(req);
+      changes.forEach(change => log.push({ ...change, seq: log.length + 1 }));
+      return send(res, 200, { accepted: changes.length });
+    }
+    if (url.pathname === '/changes' && req.method === 'GET') {
+      const since = Number(url.searchParams.get('since')) || 0;
+      const page = log.filter(c => c.seq > since).slice(0, PAGE);
+      return send(res, 200, { changes: page, cursor: page.length ? page[page.length - 1].seq : since });
+    }
+    if (url.pathname === '/master' && req.method === 'GET') {
+      const since = Number(url.searchParams.get('since')) || 0;
+      return send(res, 200, master.version > since ? master : { version: master.version });
+    }
+    if (url.pathname === '/master' && req.method === 'POST') {
+      const { mode = 'merge', items = [] } = await readBody(req);
+      master = { version: master.version + 1, mode, items };
+      return send(res, 200, { version: master.version });
+    }
+    send(res, 404, { error: 'not found' });
+  } catch (err) {
+    send(res, 400, { error: err.message });
+  }
+});
+
+server.listen(port, () => console.log(`Mock sync server on http://localhost:${port}`));